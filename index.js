@@ -1,10 +1,232 @@
 const puppeteer = require("puppeteer");
 const { EventEmitter } = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const REQUIRED_COOKIES = ["auth_token", "ct0", "twid", "kdt", "att"];
 
+// Toast / error texts X shows when an account hits an action limit
+const RATE_LIMIT_PATTERN = /rate limit|unable to follow more|try again later|too many requests|reached the limit/i;
+
+// Tweet caret-menu items (no test ids) — EN / TR. Unpin is checked before pin.
+const DELETE_ITEM = /^(delete|sil)$/i;
+const PIN_ITEM = /pin to your profile|profiline sabitle/i;
+const UNPIN_ITEM = /unpin|sabitlemeyi kaldır/i;
+
+// "Replying to @x" line above reply tweets — EN / TR
+const REPLYING_TO = /^(Replying to|yanıt olarak)/i;
+
+// Scheduler: how often due jobs are checked, and the first retry delay
+const SCHEDULER_TICK = 15 * 1000;
+const SCHEDULER_RETRY_BASE = 60 * 1000;
+
+// Attachable media by extension, and X's upload limits per kind
+const MEDIA_KINDS = {
+  ".jpg": "image",
+  ".jpeg": "image",
+  ".png": "image",
+  ".webp": "image",
+  ".gif": "gif",
+  ".mp4": "video",
+  ".mov": "video",
+};
+const MEDIA_MAX_BYTES = { image: 5 * 1024 * 1024, gif: 15 * 1024 * 1024, video: 512 * 1024 * 1024 };
+const MEDIA_UPLOAD_TIMEOUT = { image: 60 * 1000, gif: 2 * 60 * 1000, video: 10 * 60 * 1000 };
+const ALT_TEXT_MAX = 1000;
+
+// Every DOM selector the bot relies on. Override entries with the `selectors`
+// constructor option when X changes its markup; selfTest() checks them.
+const SELECTORS = {
+  // Timeline & tweets
+  primaryColumn: '[data-testid="primaryColumn"]',
+  cell: '[data-testid="cellInnerDiv"]',
+  tweet: 'article[data-testid="tweet"]',
+  tweetText: '[data-testid="tweetText"]',
+  tweetUserName: '[data-testid="User-Name"]',
+  socialContext: '[data-testid="socialContext"]',
+  tweetPhoto: '[data-testid="tweetPhoto"]',
+  videoPlayer: '[data-testid="videoPlayer"]',
+  poll: '[data-testid="cardPoll"]',
+  caret: '[data-testid="caret"]',
+  toast: '[data-testid="toast"]',
+
+  // Tweet actions
+  reply: '[data-testid="reply"]',
+  retweet: '[data-testid="retweet"]',
+  unretweet: '[data-testid="unretweet"]',
+  retweetConfirm: '[data-testid="retweetConfirm"]',
+  unretweetConfirm: '[data-testid="unretweetConfirm"]',
+  like: '[data-testid="like"]',
+  unlike: '[data-testid="unlike"]',
+  bookmark: '[data-testid="bookmark"]',
+  removeBookmark: '[data-testid="removeBookmark"]',
+  confirmButton: '[data-testid="confirmationSheetConfirm"]',
+
+  // Composer
+  tweetTextarea: '[data-testid="tweetTextarea_0"]',
+  tweetButton: '[data-testid="tweetButton"]',
+  tweetButtonInline: '[data-testid="tweetButtonInline"]',
+  fileInput: 'input[data-testid="fileInput"]',
+  attachments: '[data-testid="attachments"]',
+  altTextInput: 'textarea[data-testid="altTextInput"], textarea[name="altTextInput"]',
+  altTextSave: '[data-testid="endEditingButton"]',
+  pollButton: '[data-testid="createPollButton"]',
+  pollDays: '[data-testid="selectPollDays"]',
+  pollHours: '[data-testid="selectPollHours"]',
+  pollMinutes: '[data-testid="selectPollMinutes"]',
+  closeButton: '[data-testid="app-bar-close"]',
+
+  // Users & profiles
+  userCell: '[data-testid="UserCell"]',
+  userAvatar: '[data-testid^="UserAvatar-Container-"]',
+  unknownUserAvatar: '[data-testid="UserAvatar-Container-unknown"]',
+  followButton: '[data-testid$="-follow"]',
+  unfollowButton: '[data-testid$="-unfollow"]',
+  followsYou: '[data-testid="userFollowIndicator"]',
+  profileName: '[data-testid="UserName"]',
+  profileBio: '[data-testid="UserDescription"]',
+  profileLocation: '[data-testid="UserLocation"]',
+  profileWebsite: '[data-testid="UserUrl"]',
+  profileJoinDate: '[data-testid="UserJoinDate"]',
+  verifiedIcon: '[data-testid="icon-verified"]',
+  protectedIcon: '[data-testid="icon-lock"]',
+  emptyState: '[data-testid="empty_state_header_text"]',
+  ownProfileLink: '[data-testid="AppTabBar_Profile_Link"]',
+  accountSwitcher: '[data-testid="SideNav_AccountSwitcher_Button"]',
+
+  // Profile settings
+  mediaApplyButton: '[data-testid="applyButton"]',
+  profileSaveButton: '[data-testid="Profile_Save_Button"]',
+
+  // Notifications & direct messages
+  notification: 'article[data-testid="notification"]',
+  dmButton: '[data-testid="sendDMFromProfile"]',
+  dmComposer: '[data-testid="dmComposerTextInput"]',
+  dmSendButton: '[data-testid="dmComposerSendButton"]',
+  dmConversation: '[data-testid="conversation"]',
+  dmMessage: '[data-testid="messageEntry"]',
+  dmScroller: '[data-testid="DmScrollerContainer"]',
+};
+
+// Pages selfTest() visits and the selectors that must resolve on each.
+// A nested array lists alternatives (e.g. like/unlike) — one match is enough.
+// A null path means the bot's own profile.
+const SELF_TEST_PAGES = [
+  {
+    page: "home",
+    path: "/home",
+    selectors: [
+      "primaryColumn", "ownProfileLink", "cell", "tweet", "tweetText", "tweetUserName", "caret", "reply",
+      ["retweet", "unretweet"], ["like", "unlike"], ["bookmark", "removeBookmark"],
+    ],
+  },
+  { page: "compose", path: "/compose/post", selectors: ["tweetTextarea", "tweetButton", "fileInput", "pollButton"] },
+  { page: "profile", path: null, selectors: ["profileName", "tweet"] },
+  { page: "settings", path: "/settings/profile", selectors: ["profileSaveButton", "fileInput"] },
+];
+
+// GraphQL responses kept by the interception layer, and how many of them
+const GRAPHQL_OPERATIONS = /\/i\/api\/graphql\/[^/]+\/(TweetDetail|UserTweets|UserTweetsAndReplies|SearchTimeline|Followers|BlueVerifiedFollowers|Following)(?:\?|$)/;
+const GRAPHQL_BUFFER = 30;
+
+// ── Errors ──────────────────────────────────────────────────────────────────
+// Every runtime failure carries a stable `code`, so callers can branch on it
+// instead of matching message text. Failures without a class of their own
+// are plain TwitterBotErrors with a specific code (TWEET_NOT_FOUND,
+// ACTION_NOT_CONFIRMED, …). Plain `Error`s are only thrown for invalid
+// arguments and misuse (e.g. starting a watcher twice).
+
+class TwitterBotError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [code="TWITTER_BOT_ERROR"]
+   * @param {object} [details] – Extra fields copied onto the error
+   */
+  constructor(message, code = "TWITTER_BOT_ERROR", details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/** An action was called before init() finished. */
+class NotReadyError extends TwitterBotError {
+  constructor(message = "Bot not ready. Call .init() and wait for 'ready' event.") {
+    super(message, "NOT_READY");
+  }
+}
+
+/** X refused the action because an account limit was hit. */
+class RateLimitedError extends TwitterBotError {
+  constructor(message = "Rate limited by X") {
+    super(message, "RATE_LIMITED");
+  }
+}
+
+/** A registry selector matched nothing — X's markup may have changed. */
+class SelectorNotFoundError extends TwitterBotError {
+  /**
+   * @param {string} message
+   * @param {string} selector – Registry key (see SELECTORS)
+   */
+  constructor(message, selector) {
+    super(message, "SELECTOR_NOT_FOUND", { selector });
+  }
+}
+
+/** The profile does not exist or the account is suspended. */
+class UserNotFoundError extends TwitterBotError {
+  constructor(username) {
+    super(`User @${username} not found or account is suspended`, "USER_NOT_FOUND", { username });
+  }
+}
+
+/** X rejected a post as identical to a recent one. */
+class DuplicateTweetError extends TwitterBotError {
+  constructor(message = "Duplicate tweet") {
+    super(message, "DUPLICATE_TWEET");
+  }
+}
+
+/** An attachment failed to upload or process. */
+class MediaUploadError extends TwitterBotError {
+  constructor(message, file = null) {
+    super(message, "MEDIA_UPLOAD_FAILED", { file });
+  }
+}
+
+/** The cookies no longer authenticate — X redirected to the login flow. */
+class SessionExpiredError extends TwitterBotError {
+  constructor(message = "Session expired — new cookies are needed") {
+    super(message, "SESSION_EXPIRED");
+  }
+}
+
+// Toast texts X shows when it rejects a post (EN / TR), and the error each maps to
+const POST_TOAST_ERRORS = [
+  [/already said that|zaten söyledin/i, DuplicateTweetError],
+  [/daily limit|günlük (gönderi )?limit/i, RateLimitedError],
+  [RATE_LIMIT_PATTERN, RateLimitedError],
+  [/^(your session has expired|you('re| are) (now )?logged out)|^oturumunuzun süresi doldu/i, SessionExpiredError],
+];
+// Only checked when the post had attachments
+const MEDIA_TOAST_ERROR = /upload|medya yüklen/i;
+
+/**
+ * Turn the toast text of a rejected post into a typed error.
+ * @param {string} toastText
+ * @param {boolean} hasMedia – Whether the post had attachments
+ * @returns {TwitterBotError}
+ */
+function _postToastError(toastText, hasMedia) {
+  const match = POST_TOAST_ERRORS.find(([pattern]) => pattern.test(toastText));
+  if (match) return new match[1](toastText);
+  if (hasMedia && MEDIA_TOAST_ERROR.test(toastText)) return new MediaUploadError(toastText);
+  return new TwitterBotError(toastText || "Tweet could not be posted", "POST_FAILED");
+}
+
 const PACKAGE_NAME = "x-twitter-bot";
 const PACKAGE_VERSION = require("./package.json").version;
 
@@ -36,21 +258,364 @@ function _checkForUpdates() {
   req.end();
 }
 
+/**
+ * Parse a count as X renders it in any UI language: exact aria-label
+ * numbers ("12,345 Likes", "1.234 Beğeni", "12 345 J'aime") as well as
+ * abbreviated ones ("1.2K", "3,4 B", "1,2 Mio.", "1.2万"). Installed in every
+ * page as `window.__xbotParseCount` by _preparePage(), so the page-context
+ * scrapers share it — it must stay self-contained.
+ * @param {string} label
+ * @param {string} [lang] – UI language; defaults to the page's <html lang>
+ * @returns {number}
+ */
+function _parseCount(label, lang) {
+  if (!label) return 0;
+  lang = (lang || (typeof document !== "undefined" && document.documentElement.lang) || "en").toLowerCase();
+
+  const m = String(label).match(/(\d{1,3}(?:[ \u00A0\u202F']\d{3})+(?:[.,]\d+)?|\d[\d.,]*)(\s*)([^\s\d.,]*)/);
+  if (!m) return 0;
+
+  let num = m[1].replace(/[ \u00A0\u202F']/g, "").replace(/[.,]+$/, "");
+  // A unit is either glued to the number ("1.2K", "1.2万件") or its own word
+  // after a short number ("3,4 B", "1,2 Mio."). Exact counts such as
+  // "1234 Mi piace" or "12.345 Mi piace" are followed by label words, not units.
+  const attached = m[2] === "" && m[3] !== "";
+  const standalone = m[2] !== "" && /^\d{1,3}(?:[.,]\d{1,2})?[.,]?$/.test(m[1]);
+  const suffix = attached || standalone ? m[3].toLowerCase() : "";
+
+  const MULTIPLIERS = {
+    k: 1e3, bin: 1e3, tsd: 1e3, mil: 1e3, tys: 1e3, "тыс": 1e3, tn: 1e3, rb: 1e3, "ألف": 1e3, "हज़ार": 1e3,
+    m: 1e6, mn: 1e6, mio: 1e6, mln: 1e6, mi: 1e6, jt: 1e6, "млн": 1e6, "مليون": 1e6,
+    b: 1e9, bn: 1e9, md: 1e9, mrd: 1e9, mld: 1e9, mr: 1e9, mia: 1e9, "млрд": 1e9,
+    "लाख": 1e5, "करोड़": 1e7,
+  };
+  // CJK units attach to the following word ("1.2万件")
+  const CJK = { "千": 1e3, "천": 1e3, "万": 1e4, "萬": 1e4, "만": 1e4, "億": 1e8, "亿": 1e8, "억": 1e8 };
+
+  let factor = MULTIPLIERS[suffix] || CJK[suffix.charAt(0)] || 1;
+  // "B" is billion in English but "bin" (thousand) in Turkish
+  if (suffix === "b" && lang.startsWith("tr")) factor = 1e3;
+  // "Mi" is million in Portuguese but starts the Italian like label ("12 Mi piace")
+  if (suffix === "mi" && lang.startsWith("it")) factor = 1;
+
+  const seps = num.match(/[.,]/g) || [];
+  if (seps.length > 0) {
+    const last = Math.max(num.lastIndexOf("."), num.lastIndexOf(","));
+    const decimals = num.length - last - 1;
+    // Mixed separators → the last one is decimal; a single one is decimal unless
+    // it groups exactly 3 digits of an unabbreviated number
+    const isDecimal = new Set(seps).size > 1 || (seps.length === 1 && (decimals !== 3 || factor > 1));
+    num = isDecimal
+      ? num.slice(0, last).replace(/[.,]/g, "") + "." + num.slice(last + 1)
+      : num.replace(/[.,]/g, "");
+  }
+
+  const value = parseFloat(num);
+  return isNaN(value) ? 0 : Math.round(value * factor);
+}
+
+/**
+ * "@handle" of the account a user avatar belongs to: from X's
+ * `UserAvatar-Container-<handle>` test id, or — when the `userAvatar`
+ * selector was overridden with one that doesn't carry it — from the
+ * profile link inside / around the avatar. Installed in every page as
+ * `window.__xbotAvatarHandle` by _preparePage(), so it must stay self-contained.
+ * @param {Element} avatar
+ * @returns {string} – "" when no handle can be found
+ */
+function _avatarHandle(avatar) {
+  const testId = avatar.getAttribute("data-testid") || "";
+  if (testId.startsWith("UserAvatar-Container-")) {
+    return "@" + testId.slice("UserAvatar-Container-".length);
+  }
+  const link = avatar.querySelector('a[href^="/"]') || avatar.closest('a[href^="/"]');
+  const m = link ? link.getAttribute("href").match(/^\/(\w{1,15})(?:[/?]|$)/) : null;
+  return m ? "@" + m[1] : "";
+}
+
+/**
+ * Page-context scraper: parses every rendered tweet article.
+ * Passed to page.evaluate(), so it must stay self-contained apart from
+ * the `window.__xbotParseCount` / `__xbotReplyingTo` globals installed by _preparePage().
+ * @param {object} sel – The bot's selector registry
+ * @returns {object[]}
+ */
+function _parseTweetArticles(sel) {
+  const results = [];
+  const articles = document.querySelectorAll(sel.tweet);
+
+  for (const article of articles) {
+    const tweet = {
+      tweetId: null,
+      username: "",
+      handle: "",
+      text: "",
+      lang: "",
+      time: "",
+      likes: 0,
+      replies: 0,
+      reposts: 0,
+      views: 0,
+      media: [],
+      isPinned: false,
+      isRetweet: false,
+      isReply: false,
+      inReplyTo: null, // not exposed by the page — only GraphQL tweets carry it
+      isLiked: false,
+    };
+
+    // Extract tweet ID from permalink
+    const permalink = article.querySelector('a[href*="/status/"] time')?.closest("a");
+    if (permalink) {
+      const match = permalink.getAttribute("href").match(/\/status\/(\d+)/);
+      if (match) tweet.tweetId = match[1];
+    }
+
+    const userNameEl = article.querySelector(sel.tweetUserName);
+    if (userNameEl) {
+      const spans = userNameEl.querySelectorAll("a");
+      if (spans[0]) {
+        const nameSpan = spans[0].querySelector("span span");
+        if (nameSpan) tweet.username = nameSpan.innerText;
+      }
+      if (spans[1]) {
+        const handleSpan = spans[1].querySelector("span");
+        if (handleSpan) tweet.handle = handleSpan.innerText;
+      }
+    }
+
+    const timeEl = article.querySelector("time");
+    if (timeEl) tweet.time = timeEl.getAttribute("datetime") || timeEl.innerText;
+
+    const textEl = article.querySelector(sel.tweetText);
+    if (textEl) {
+      tweet.text = textEl.innerText;
+      tweet.lang = textEl.getAttribute("lang") || "";
+    }
+
+    const parseBtn = (...selectors) => {
+      for (const selector of selectors) {
+        const el = article.querySelector(selector);
+        if (el) return window.__xbotParseCount(el.getAttribute("aria-label"));
+      }
+      return 0;
+    };
+
+    tweet.replies = parseBtn(sel.reply);
+    tweet.reposts = parseBtn(sel.retweet, sel.unretweet);
+    tweet.likes = parseBtn(sel.like, sel.unlike);
+    tweet.isLiked = !!article.querySelector(sel.unlike);
+
+    const viewsEl = article.querySelector('a[href*="/analytics"][aria-label]');
+    if (viewsEl) tweet.views = window.__xbotParseCount(viewsEl.getAttribute("aria-label"));
+
+    // ── Flags ─────────────────────────────────────────────
+    // "X reposted" links to the reposter; "Pinned" has no link
+    const socialContext = article.querySelector(sel.socialContext);
+    if (socialContext) {
+      if (socialContext.closest("a")) tweet.isRetweet = true;
+      else tweet.isPinned = true;
+    }
+
+    for (const div of article.querySelectorAll("div")) {
+      if (window.__xbotReplyingTo.test(div.innerText || "")) {
+        tweet.isReply = true;
+        break;
+      }
+    }
+
+    // ── Media ─────────────────────────────────────────────
+    for (const img of article.querySelectorAll(`${sel.tweetPhoto} img`)) {
+      if (img.src) tweet.media.push({ type: "photo", url: img.src });
+    }
+    for (const video of article.querySelectorAll(`${sel.videoPlayer} video`)) {
+      const poster = video.getAttribute("poster") || "";
+      const src = video.getAttribute("src") || "";
+      tweet.media.push({
+        type: poster.includes("tweet_video_thumb") ? "gif" : "video",
+        url: src && !src.startsWith("blob:") ? src : poster,
+      });
+    }
+
+    results.push(tweet);
+  }
+
+  return results;
+}
+
+/**
+ * Page-context scraper: parses every rendered user cell (search People tab,
+ * follower lists, …). Passed to page.evaluate(), so it must stay self-contained.
+ * @param {object} sel – The bot's selector registry
+ * @returns {object[]}
+ */
+function _parseUserCells(sel) {
+  const results = [];
+  // Stay out of the "Who to follow" sidebar
+  const root = document.querySelector(sel.primaryColumn) || document;
+  const cells = root.querySelectorAll(sel.userCell);
+
+  for (const cell of cells) {
+    const user = {
+      handle: "",
+      displayName: "",
+      bio: "",
+      followsYou: false,
+      isFollowing: false,
+    };
+
+    // First profile link in the cell → /<handle>
+    const link = cell.querySelector('a[role="link"][href^="/"]');
+    if (link) user.handle = "@" + link.getAttribute("href").replace(/^\//, "").split("/")[0];
+
+    const nameEl = cell.querySelector('a[role="link"] span span');
+    if (nameEl) user.displayName = nameEl.innerText;
+
+    // Bio is the only dir="auto" block outside the name/handle links
+    for (const el of cell.querySelectorAll('div[dir="auto"]')) {
+      if (!el.closest("a")) {
+        user.bio = el.innerText;
+        break;
+      }
+    }
+
+    user.followsYou = !!cell.querySelector(sel.followsYou);
+    user.isFollowing = !!cell.querySelector(sel.unfollowButton);
+
+    if (user.handle) results.push(user);
+  }
+
+  return results;
+}
+
+/**
+ * Page-context scraper for /notifications: aggregated entries (likes,
+ * follows, reposts) and tweet entries (replies, mentions).
+ * Passed to page.evaluate(), so it must stay self-contained apart from
+ * the `window.__xbotReplyingTo` / `__xbotAvatarHandle` globals installed by _preparePage().
+ * @param {object} sel – The bot's selector registry
+ * @returns {object[]}
+ */
+function _parseNotifications(sel) {
+  const results = [];
+  const cells = document.querySelectorAll(sel.cell);
+
+  const statusId = (el) => {
+    const link = el.querySelector('a[href*="/status/"]');
+    const m = link ? link.getAttribute("href").match(/\/status\/(\d+)/) : null;
+    return m ? m[1] : null;
+  };
+
+  for (const cell of cells) {
+    const tweet = cell.querySelector(sel.tweet);
+    if (tweet) {
+      const entry = { type: "mention", actors: [], tweetId: null, text: "", time: "" };
+
+      const permalink = tweet.querySelector('a[href*="/status/"] time')?.closest("a");
+      if (permalink) {
+        const m = permalink.getAttribute("href").match(/\/status\/(\d+)/);
+        if (m) entry.tweetId = m[1];
+      }
+
+      const handleLink = tweet.querySelectorAll(`${sel.tweetUserName} a`)[1];
+      const handleSpan = handleLink ? handleLink.querySelector("span") : null;
+      if (handleSpan) entry.actors.push(handleSpan.innerText);
+
+      const textEl = tweet.querySelector(sel.tweetText);
+      if (textEl) entry.text = textEl.innerText;
+
+      const timeEl = tweet.querySelector("time");
+      if (timeEl) entry.time = timeEl.getAttribute("datetime") || timeEl.innerText;
+
+      for (const div of tweet.querySelectorAll("div")) {
+        if (window.__xbotReplyingTo.test(div.innerText || "")) {
+          entry.type = "reply";
+          break;
+        }
+      }
+
+      results.push(entry);
+      continue;
+    }
+
+    const notification = cell.querySelector(sel.notification);
+    if (!notification) continue;
+
+    const text = notification.innerText;
+    const entry = { type: "other", actors: [], tweetId: statusId(notification), text: "", time: "" };
+
+    // Type from the headline — EN / TR
+    if (/followed you|seni takip etti/i.test(text)) entry.type = "follow";
+    else if (/liked|beğendi/i.test(text)) entry.type = "like";
+    else if (/reposted|retweeted|yeniden gönderdi/i.test(text)) entry.type = "repost";
+
+    for (const avatar of notification.querySelectorAll(sel.userAvatar)) {
+      const handle = window.__xbotAvatarHandle(avatar);
+      if (handle && !entry.actors.includes(handle)) entry.actors.push(handle);
+    }
+
+    // Quoted snippet of our tweet, if any
+    const snippet = notification.querySelector('div[dir="auto"]:last-of-type');
+    if (snippet) entry.text = snippet.innerText;
+
+    results.push(entry);
+  }
+
+  return results;
+}
+
 /**
  * Events:
  *   ready           – Bot authenticated and ready to use
  *   loginRequired   – Cookies are invalid/expired, new cookies needed
  *   browserLaunched – Browser instance started
  *   error           – Unrecoverable error during init or operation
- *   tweetPosted     – Tweet posted successfully   → { text, timestamp }
- *   tweetFailed     – Tweet failed                → { text, error }
+ *   tweetPosted     – Tweet posted successfully   → { text, postId, timestamp, threadIndex? }
+ *   tweetFailed     – Tweet failed                → { text, error, threadIndex? }
+ *                     (scheduled posts add { jobId } / { jobId, attempt, willRetry })
+ *   mediaUploadProgress – Attachment upload progress → { file, index, total, stage, percent }
+ *   replyPosted     – Reply posted successfully   → { text, postId, inReplyTo, timestamp }
+ *   replyFailed     – Reply failed                → { tweetId, text, error }
+ *   quotePosted     – Quote posted successfully   → { text, postId, quotedId, timestamp }
+ *   quoteFailed     – Quote failed                → { tweetId, text, error }
+ *   retweeted       – Tweet retweeted             → { tweetId, status, timestamp }
+ *   retweetFailed   – Retweet failed              → { tweetId, error }
+ *   unretweeted     – Retweet undone              → { tweetId, status, timestamp }
+ *   unretweetFailed – Undo retweet failed         → { tweetId, error }
+ *   tweetDeleted    – Tweet deleted               → { tweetId, status, timestamp }
+ *   deleteFailed    – Delete failed               → { tweetId, error }
+ *   tweetPinned     – Tweet pinned to profile     → { tweetId, status, timestamp }
+ *   pinFailed       – Pin failed                  → { tweetId, error }
+ *   tweetUnpinned   – Tweet unpinned              → { tweetId, status, timestamp }
+ *   unpinFailed     – Unpin failed                → { tweetId, error }
+ *   tweetLiked      – Tweet liked                 → { tweetId, status, timestamp }
+ *   likeFailed      – Like failed                 → { tweetId, error }
+ *   tweetUnliked    – Like removed                → { tweetId, status, timestamp }
+ *   unlikeFailed    – Unlike failed               → { tweetId, error }
+ *   tweetBookmarked – Tweet bookmarked            → { tweetId, status, timestamp }
+ *   bookmarkFailed  – Bookmark failed             → { tweetId, error }
+ *   bookmarkRemoved – Bookmark removed            → { tweetId, status, timestamp }
+ *   removeBookmarkFailed – Remove bookmark failed  → { tweetId, error }
  *   userFollowed    – User followed successfully   → { username, status, timestamp }
  *   followFailed    – Follow failed                → { username, error }
  *   userUnfollowed  – User unfollowed successfully  → { username, status, timestamp }
  *   unfollowFailed  – Unfollow failed               → { username, error }
+ *   dmSent          – Direct message sent          → { username, conversationId, text, timestamp }
+ *   dmFailed        – Direct message failed        → { username, text, error }
+ *   mention         – New mention/reply (watchMentions) → { type, actors, tweetId, text, time, timestamp }
+ *   ruleMatched     – Auto-reply rule handled a reply → { tweetId, handle, text, rule, actions, dryRun }
+ *   ruleDryRun      – Dry-run rule match, nothing done → { rule, reply, performed }
+ *   mediaDownloaded – Tweet media saved to disk   → { tweetId, destDir, manifest, saved, failed, files, timestamp }
+ *   mediaDownloadFailed – Media download failed    → { tweetId, error }
+ *   statsUpdated    – trackTweets() sample taken   → { tweetId, snapshot, previous, deltas }
+ *   rateLimited     – Bulk action hit an X limit   → { action, username, error }
+ *   backgroundError – Scheduler / watcher / tracker tick failed → { task, error, code, cause }
  *   profileSetup    – Profile setup completed       → { avatar, header, bio, … }
  *   profileSetupFailed – Profile setup failed        → { error }
  *   closed          – Browser closed
+ *
+ * Every *Failed payload also carries { code, cause } — `cause` is the thrown
+ * error (see TwitterBotError and its subclasses).
  */
 class TwitterBot extends EventEmitter {
   /**
@@ -60,6 +625,9 @@ class TwitterBot extends EventEmitter {
    * @param {boolean} [options.headless=true]
    * @param {number}  [options.timeout=60000]
    * @param {string}  [options.chromePath]  – Path to Chrome executable (optional)
+   * @param {string}  [options.scheduleFile] – Persist schedule() jobs to this JSON file (default: in memory only)
+   * @param {string}  [options.statsFile] – JSON-lines file trackTweets() appends snapshots to (default: in memory only)
+   * @param {object}  [options.selectors] – Overrides for entries of the selector registry (see SELECTORS)
    */
   constructor(options = {}) {
     super();
@@ -77,10 +645,45 @@ class TwitterBot extends EventEmitter {
     this.headless = options.headless !== undefined ? options.headless : true;
     this.timeout = options.timeout || 600000;
     this.chromePath = options.chromePath || null;
+    this.scheduleFile = options.scheduleFile ? require("path").resolve(options.scheduleFile) : null;
+    this.statsFile = options.statsFile ? require("path").resolve(options.statsFile) : null;
+
+    for (const [key, value] of Object.entries(options.selectors || {})) {
+      if (!SELECTORS[key]) throw new Error(`Unknown selector: ${key}`);
+      if (typeof value !== "string" || !value.trim()) {
+        throw new Error(`Selector ${key} must be a non-empty string`);
+      }
+    }
+    this.selectors = { ...SELECTORS, ...options.selectors };
 
     this.browser = null;
     this.page = null;
     this.isReady = false;
+
+    // Timestamps of follow/unfollow actions — used by followMany()/unfollowMany() caps
+    this._actionLog = { follow: [], unfollow: [] };
+
+    // Scheduled tweets — loaded lazily from scheduleFile, if one is set
+    this._jobs = null;
+    this._schedulerTimer = null;
+
+    // Page operations run one at a time — see _withPage()
+    this._pageQueue = Promise.resolve();
+    this._pageLock = new AsyncLocalStorage();
+
+    // Background tasks (scheduler, watchers, stats tracker) — at most one tick in flight
+    this._backgroundBusy = false;
+    this._mentionWatcher = null;
+    this._statsTracker = null;
+    this._statsSnapshots = []; // trackTweets() history when no store file is set
+
+    // GraphQL responses captured from this.page — see _captureGraphQL()
+    this._graphql = { seq: 0, entries: [], pending: new Set() };
+    this._preparedPages = new WeakSet();
+
+    // Auto-reply rules — see addRule()/onKeyword()
+    this._rules = [];
+    this._rulesWatcher = null;
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -124,14 +727,7 @@ class TwitterBot extends EventEmitter {
       this.browser = await puppeteer.launch(launchOptions);
 
       this.page = await this.browser.newPage();
-
-      await this.page.setUserAgent(
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-      );
-
-      await this.page.evaluateOnNewDocument(() => {
-        Object.defineProperty(navigator, "webdriver", { get: () => undefined });
-      });
+      await this._preparePage(this.page);
 
       this.emit("browserLaunched");
 
@@ -157,7 +753,7 @@ class TwitterBot extends EventEmitter {
 
       // Double-check with DOM — look for logged-in sidebar
       const hasProfile = await this._waitFor(
-        '[data-testid="AppTabBar_Profile_Link"], [data-testid="SideNav_AccountSwitcher_Button"]',
+        `${this.selectors.ownProfileLink}, ${this.selectors.accountSwitcher}`,
         5000
       );
 
@@ -171,6 +767,10 @@ class TwitterBot extends EventEmitter {
       }
 
       this.isReady = true;
+
+      // Resume jobs scheduled by a previous run
+      if (this.scheduleFile && require("fs").existsSync(this.scheduleFile)) this._startScheduler();
+
       this.emit("ready");
       return this;
     } catch (err) {
@@ -190,1014 +790,4040 @@ class TwitterBot extends EventEmitter {
     if (!text) throw new Error("Tweet text is required");
     if (text.length > 280) throw new Error("Tweet exceeds 280 characters");
 
-    const media = options.media || [];
-    if (media.length > 4) throw new Error("Maximum 4 media files allowed");
-
     try {
-      // Handle "Leave site?" / beforeunload dialogs automatically
-      // Also handles media upload error dialogs
-      let dialogHandled = false;
-      const dialogHandler = async (dialog) => {
-        if (dialogHandled) return;
-        dialogHandled = true;
-        await dialog.accept();
-      };
-      this.page.on("dialog", dialogHandler);
+      // Media and poll problems are reported as tweetFailed too
+      const media = this._normalizeMedia(options.media);
+
+      const poll = options.poll || null;
+      if (poll) {
+        if (media.length > 0) throw new Error("A poll cannot be combined with media");
+        if (!Array.isArray(poll.choices) || poll.choices.length < 2 || poll.choices.length > 4) {
+          throw new Error("A poll needs 2 to 4 choices");
+        }
+        for (const choice of poll.choices) {
+          if (typeof choice !== "string") throw new Error("Poll choices must be strings");
+          if (!choice) throw new Error("Poll choices cannot be empty");
+          if (choice.length > 25) throw new Error(`Poll choice exceeds 25 characters: ${choice}`);
+        }
+        const minutes = poll.durationMinutes !== undefined ? poll.durationMinutes : 1440;
+        if (!Number.isInteger(minutes) || minutes < 5 || minutes > 7 * 24 * 60) {
+          throw new Error("Poll duration must be a whole number of minutes, from 5 minutes to 7 days");
+        }
+      }
 
-      await this.page.goto("https://x.com/compose/post", {
-        waitUntil: "networkidle2",
-        timeout: this.timeout,
-      });
-      await delay(1000);
+      const { postId } = await this._composeTweet(text, { media, poll });
 
-      const textarea = '[data-testid="tweetTextarea_0"]';
-      const found =
-        (await this._waitFor(textarea, 10000)) ||
-        (await this._waitFor('div[role="textbox"]', 5000));
-      if (!found) {
-        this.page.off("dialog", dialogHandler);
-        throw new Error("Tweet textarea not found");
-      }
+      const result = {
+        success: true,
+        text,
+        postId,
+        timestamp: new Date().toISOString(),
+      };
+      if (poll) result.poll = { choices: poll.choices, durationMinutes: poll.durationMinutes || 1440 };
+      this.emit("tweetPosted", result);
+      return result;
+    } catch (err) {
+      this.emit("tweetFailed", { text, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
 
-      await this.page.click(textarea);
-      await delay(200);
-      await this.page.type(textarea, text, { delay: 30 });
-      await delay(500);
+  // ── Post a thread ────────────────────────────────────────────────────────
 
-      // Upload media files if provided
-      if (media.length > 0) {
-        const path = require("path");
-        const fileInput = await this.page.$('input[data-testid="fileInput"]');
-        if (!fileInput) {
-          this.page.off("dialog", dialogHandler);
-          throw new Error("File input not found");
-        }
+  /**
+   * Post a thread: the first part as a normal tweet, every following part as
+   * a reply to the previous one. Parts are posted one by one, so if part N
+   * fails the earlier parts are already live — in that case the result has
+   * `success: false` and lists what was posted instead of throwing.
+   *
+   * @param {Array<string|{text: string, media?: Array<string|{path: string, altText?: string}>}>} parts
+   * @param {object} [options]
+   * @param {number} [options.partDelay=2000] – Wait between parts (ms)
+   * @returns {Promise<{success: boolean, postIds: string[], posted: number, total: number, failedIndex: number|null, error: string|null, parts: object[], timestamp: string}>}
+   */
+  async postThread(parts, options = {}) {
+    this._ensureReady();
+    if (!Array.isArray(parts) || parts.length === 0) {
+      throw new Error("Thread parts are required");
+    }
 
-        for (let filePath of media) {
-          // Convert to absolute path if relative
-          if (!path.isAbsolute(filePath)) {
-            filePath = path.resolve(filePath);
-          }
-          
-          // Check if file exists
-          const fs = require("fs");
-          if (!fs.existsSync(filePath)) {
-            this.page.off("dialog", dialogHandler);
-            throw new Error(`File not found: ${filePath}`);
-          }
+    const partDelay = options.partDelay !== undefined ? options.partDelay : 2000;
 
-          await fileInput.uploadFile(filePath);
-          // Wait for upload to complete - preview appears
-          await delay(2500);
-          
-          // Check for upload errors (X shows a dialog with error message)
-          // If dialog was shown, dialogHandled will be true
-          if (dialogHandled) {
-            this.page.off("dialog", dialogHandler);
-            throw new Error("Media upload failed - file may be unsupported or too large");
-          }
-        }
-        // Extra wait for all previews to render
-        await delay(1000);
+    // Normalize & validate every part up-front — nothing is posted if one is invalid
+    const normalized = parts.map((part, i) => {
+      const p = typeof part === "string" ? { text: part } : { ...part };
+      if (!p.text) throw new Error(`Thread part ${i + 1}: text is required`);
+      if (p.text.length > 280) throw new Error(`Thread part ${i + 1}: exceeds 280 characters`);
+      try {
+        p.media = this._normalizeMedia(p.media);
+      } catch (err) {
+        throw new Error(`Thread part ${i + 1}: ${err.message}`);
       }
+      return p;
+    });
 
-      const clicked = await this.page.evaluate(() => {
-        const btn =
-          document.querySelector('[data-testid="tweetButton"]') ||
-          document.querySelector('[data-testid="tweetButtonInline"]');
-        if (btn) {
-          btn.click();
-          return true;
-        }
-        return false;
-      });
-
-      if (!clicked) throw new Error("Post button not found");
+    const total = normalized.length;
+    const posted = [];
+    let failedIndex = null;
+    let error = null;
 
-      // Wait for compose to close (URL changes via SPA, no real navigation)
-      // Media uploads take longer — poll until /compose disappears or timeout
-      const hasMedia = media.length > 0;
-      const postTimeout = hasMedia ? 30000 : 8000;
-      const pollInterval = 500;
-      let elapsed = 0;
-      let stillOnCompose = true;
-      while (elapsed < postTimeout) {
-        await delay(pollInterval);
-        elapsed += pollInterval;
-        stillOnCompose = await this.page.evaluate(() =>
-          window.location.href.includes("/compose")
-        );
-        if (!stillOnCompose) break;
-      }
+    for (let i = 0; i < total; i++) {
+      const { text, media } = normalized[i];
+      const replyTo = i > 0 ? posted[i - 1].postId : null;
 
-      if (stillOnCompose) {
-        // Still on compose = tweet failed. Read toast for error reason.
-        const toastText = await this.page.evaluate(() => {
-          const toast = document.querySelector('[role="status"]');
-          return toast ? toast.innerText.trim() : "";
-        });
-        await this._dismissCompose();
-        throw new Error(toastText || "Tweet could not be posted");
+      try {
+        const { postId } = await this._composeTweet(text, { media, replyTo });
+        if (!postId) throw new TwitterBotError("Posted part has no post ID — cannot continue thread", "ACTION_NOT_CONFIRMED");
+
+        const result = {
+          success: true,
+          text,
+          postId,
+          threadIndex: i,
+          timestamp: new Date().toISOString(),
+        };
+        posted.push(result);
+        this.emit("tweetPosted", result);
+      } catch (err) {
+        failedIndex = i;
+        error = err.message;
+        this.emit("tweetFailed", { text, error: err.message, code: err.code, cause: err, threadIndex: i });
+        break;
       }
 
-      // URL changed → we're on home/feed now. Find our tweet at the top.
-      await delay(hasMedia ? 5000 : 3000);
+      if (i < total - 1) await delay(partDelay);
+    }
 
-      const verification = await this.page.evaluate((tweetText) => {
-        // Helper to remove emojis and normalize text
-        const normalizeText = (str) => {
-          return str
-            .replace(/[\u{1F600}-\u{1F64F}]/gu, '') // Emoticons
-            .replace(/[\u{1F300}-\u{1F5FF}]/gu, '') // Misc Symbols and Pictographs
-            .replace(/[\u{1F680}-\u{1F6FF}]/gu, '') // Transport and Map
-            .replace(/[\u{1F700}-\u{1F77F}]/gu, '') // Alchemical Symbols
-            .replace(/[\u{1F780}-\u{1F7FF}]/gu, '') // Geometric Shapes Extended
-            .replace(/[\u{1F800}-\u{1F8FF}]/gu, '') // Supplemental Arrows-C
-            .replace(/[\u{1F900}-\u{1F9FF}]/gu, '') // Supplemental Symbols and Pictographs
-            .replace(/[\u{1FA00}-\u{1FA6F}]/gu, '') // Chess Symbols
-            .replace(/[\u{1FA70}-\u{1FAFF}]/gu, '') // Symbols and Pictographs Extended-A
-            .replace(/[\u{2600}-\u{26FF}]/gu, '')   // Misc symbols
-            .replace(/[\u{2700}-\u{27BF}]/gu, '')   // Dingbats
-            .replace(/[\uFE00-\uFE0F]/g, '')         // Variation selectors (e.g. U+FE0F after 🖼)
-            .replace(/\u200D/g, '')                  // Zero-width joiner (emoji sequences)
-            .replace(/\u20E3/g, '')                  // Combining enclosing keycap
-            .trim()
-            .replace(/\s+/g, ' ');
-        };
+    return {
+      success: failedIndex === null,
+      postIds: posted.map((p) => p.postId),
+      posted: posted.length,
+      total,
+      failedIndex,
+      error,
+      parts: posted,
+      timestamp: new Date().toISOString(),
+    };
+  }
 
-        const cells = document.querySelectorAll('[data-testid="cellInnerDiv"]');
-        const searchText = normalizeText(tweetText).slice(0, 20); // Use first 20 chars without emojis
-        const foundTweets = [];
-        
-        // Check first 10 cells (to handle promoted tweets, etc)
-        for (let i = 0; i < Math.min(cells.length, 10); i++) {
-          const cell = cells[i];
-          const article = cell.querySelector('article[data-testid="tweet"]');
-          if (!article) continue;
-          const textEl = article.querySelector('[data-testid="tweetText"]');
-          if (!textEl) continue;
-          
-          const cellText = textEl.innerText;
-          foundTweets.push(cellText.slice(0, 50)); // Debug
-          
-          const normalizedCell = normalizeText(cellText);
-          
-          if (normalizedCell.includes(searchText)) {
-            const timeLink = article.querySelector('a[href*="/status/"] time');
-            const statusLink = timeLink ? timeLink.closest("a") : null;
-            const href = statusLink ? statusLink.getAttribute("href") : "";
-            const match = href.match(/\/status\/(\d+)/);
-            const postId = match ? match[1] : null;
-            return { found: true, postId, foundTweets };
-          }
-        }
-        return { found: false, postId: null, foundTweets };
-      }, text);
+  // ── Reply to a tweet ─────────────────────────────────────────────────────
 
-      if (!verification.found) {
-        console.log("[DEBUG] Searched for:", text.slice(0, 30));
-        console.log("[DEBUG] Found tweets:", verification.foundTweets);
-        this.page.off("dialog", dialogHandler);
-        throw new Error("Tweet not found in feed after posting");
-      }
+  /**
+   * Reply to a tweet. Uses the same compose / media / verification flow as
+   * postTweet(), opened from the tweet's reply button.
+   * @param {string} tweetId – Tweet to reply to
+   * @param {string} text    – Reply text (max 280)
+   * @param {object} [options]
+   * @param {Array<string|{path: string, altText?: string}>} [options.media] – Up to 4 images, or 1 GIF / video
+   * @returns {Promise<{success: boolean, text: string, postId: string|null, inReplyTo: string, timestamp: string}>}
+   */
+  async replyToTweet(tweetId, text, options = {}) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
+    if (!text) throw new Error("Reply text is required");
+    if (text.length > 280) throw new Error("Reply exceeds 280 characters");
 
-      // Clean up dialog handler
-      this.page.off("dialog", dialogHandler);
+    try {
+      const media = this._normalizeMedia(options.media);
+      const { postId } = await this._composeTweet(text, { media, replyTo: tweetId });
 
       const result = {
         success: true,
         text,
-        postId: verification.postId,
+        postId,
+        inReplyTo: tweetId,
         timestamp: new Date().toISOString(),
       };
-      this.emit("tweetPosted", result);
+      this.emit("replyPosted", result);
       return result;
     } catch (err) {
-      // Make sure to clean up dialog handler
-      if (typeof dialogHandler !== "undefined") {
-        try { this.page.off("dialog", dialogHandler); } catch { /* ignore */ }
-      }
-      try { await this._recoverPage(); } catch { /* ignore */ }
-      this.emit("tweetFailed", { text, error: err.message });
+      this.emit("replyFailed", { tweetId, text, error: err.message, code: err.code, cause: err });
       throw err;
     }
   }
 
-  // ── Get tweet stats + initial visible replies ─────────────────────────────
+  // ── Quote a tweet ────────────────────────────────────────────────────────
 
-  async getTweetStats(tweetId) {
+  /**
+   * Quote a tweet via the repost menu → "Quote".
+   * @param {string} tweetId – Tweet to quote
+   * @param {string} text    – Quote text (max 280)
+   * @param {object} [options]
+   * @param {Array<string|{path: string, altText?: string}>} [options.media] – Up to 4 images, or 1 GIF / video
+   * @returns {Promise<{success: boolean, text: string, postId: string|null, quotedId: string, timestamp: string}>}
+   */
+  async quoteTweet(tweetId, text, options = {}) {
     this._ensureReady();
     if (!tweetId) throw new Error("Tweet ID is required");
+    if (!text) throw new Error("Quote text is required");
+    if (text.length > 280) throw new Error("Quote exceeds 280 characters");
 
-    const url = this._tweetUrl(tweetId);
-
-    await this.page.goto(url, {
-      waitUntil: "networkidle2",
-      timeout: this.timeout,
-    });
-    await delay(1500);
+    try {
+      const media = this._normalizeMedia(options.media);
+      const { postId } = await this._composeTweet(text, { media, quoteOf: tweetId });
 
-    const data = await this.page.evaluate(() => {
-      const r = {
-        text: "",
-        likes: 0,
-        replies: 0,
-        reposts: 0,
-        views: 0,
-        bookmarks: 0,
-        initialReplies: [],
+      const result = {
+        success: true,
+        text,
+        postId,
+        quotedId: tweetId,
+        timestamp: new Date().toISOString(),
       };
+      this.emit("quotePosted", result);
+      return result;
+    } catch (err) {
+      this.emit("quoteFailed", { tweetId, text, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
 
-      // ── Main tweet stats ──────────────────────────────────────────
-      const tweetText = document.querySelector('[data-testid="tweetText"]');
-      if (tweetText) r.text = tweetText.innerText;
+  // ── Retweet ──────────────────────────────────────────────────────────────
 
-      const parse = (testId) => {
-        const el =
-          document.querySelector(`[data-testid="${testId}"]`) ||
-          document.querySelector(`[data-testid="un${testId}"]`);
-        if (el) {
-          const m = (el.getAttribute("aria-label") || "").match(/(\d+)/);
-          if (m) return parseInt(m[1]);
-        }
-        return 0;
-      };
+  /**
+   * Retweet (repost) a tweet.
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'retweeted'|'already_retweeted', timestamp: string}>}
+   */
+  async retweet(tweetId) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
 
-      r.replies = parse("reply");
-      r.reposts = parse("retweet");
+    try {
+      const article = await this._openTweet(tweetId);
 
-      r.likes = (() => {
-        const el =
-          document.querySelector('[data-testid="like"]') ||
-          document.querySelector('[data-testid="unlike"]');
-        if (el) {
-          const m = (el.getAttribute("aria-label") || "").match(/(\d+)/);
-          if (m) return parseInt(m[1]);
-        }
-        return 0;
-      })();
-
-      r.bookmarks = (() => {
-        const el =
-          document.querySelector('[data-testid="bookmark"]') ||
-          document.querySelector('[data-testid="removeBookmark"]');
-        if (el) {
-          const m = (el.getAttribute("aria-label") || "").match(/(\d+)/);
-          if (m) return parseInt(m[1]);
-        }
-        return 0;
-      })();
-
-      const allLinks = document.querySelectorAll("a[aria-label]");
-      for (const el of allLinks) {
-        const label = el.getAttribute("aria-label") || "";
-        if (/view/i.test(label) || /görüntülenme/i.test(label)) {
-          const m = label.match(/([\d,.]+)/);
-          if (m) {
-            r.views = parseInt(m[1].replace(/[,.]/g, ""));
-            break;
-          }
-        }
+      const changed = await this._toggleTweetButton(article, {
+        from: "retweet",
+        to: "unretweet",
+        confirm: "retweetConfirm",
+      });
+
+      if (changed === null) {
+        throw new SelectorNotFoundError(`Could not detect retweet button for tweet ${tweetId}`, "retweet");
+      }
+      if (changed === false) {
+        return { tweetId, status: "already_retweeted", timestamp: new Date().toISOString() };
       }
 
-      // ── Initial visible replies (no scroll) ──────────────────────
-      const cells = document.querySelectorAll('[data-testid="cellInnerDiv"]');
-      let foundMainTweet = false;
+      const result = { tweetId, status: "retweeted", timestamp: new Date().toISOString() };
+      this.emit("retweeted", result);
+      return result;
+    } catch (err) {
+      this.emit("retweetFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
 
-      for (const cell of cells) {
-        const article = cell.querySelector('article[data-testid="tweet"]');
-        if (!article) continue;
+  // ── Undo retweet ─────────────────────────────────────────────────────────
 
-        if (!foundMainTweet) {
-          foundMainTweet = true;
-          continue;
-        }
+  /**
+   * Undo a retweet (repost).
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'unretweeted'|'not_retweeted', timestamp: string}>}
+   */
+  async undoRetweet(tweetId) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
 
-        const reply = { tweetId: null, username: "", handle: "", text: "", time: "", likes: 0, replies: 0, reposts: 0 };
+    try {
+      const article = await this._openTweet(tweetId);
 
-        // Extract tweet ID from permalink
-        const permalink = article.querySelector('a[href*="/status/"] time')?.closest("a");
-        if (permalink) {
-          const match = permalink.getAttribute("href").match(/\/status\/(\d+)/);
-          if (match) reply.tweetId = match[1];
-        }
+      const changed = await this._toggleTweetButton(article, {
+        from: "unretweet",
+        to: "retweet",
+        confirm: "unretweetConfirm",
+      });
 
-        const userNameEl = article.querySelector('[data-testid="User-Name"]');
-        if (userNameEl) {
-          const spans = userNameEl.querySelectorAll("a");
-          if (spans[0]) {
-            const nameSpan = spans[0].querySelector("span span");
-            if (nameSpan) reply.username = nameSpan.innerText;
-          }
-          if (spans[1]) {
-            const handleSpan = spans[1].querySelector("span");
-            if (handleSpan) reply.handle = handleSpan.innerText;
-          }
-        }
+      if (changed === null) {
+        throw new SelectorNotFoundError(`Could not detect retweet button for tweet ${tweetId}`, "unretweet");
+      }
+      if (changed === false) {
+        return { tweetId, status: "not_retweeted", timestamp: new Date().toISOString() };
+      }
 
-        const timeEl = article.querySelector("time");
-        if (timeEl) reply.time = timeEl.getAttribute("datetime") || timeEl.innerText;
+      const result = { tweetId, status: "unretweeted", timestamp: new Date().toISOString() };
+      this.emit("unretweeted", result);
+      return result;
+    } catch (err) {
+      this.emit("unretweetFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
 
-        const textEl = article.querySelector('[data-testid="tweetText"]');
-        if (textEl) reply.text = textEl.innerText;
+  // ── Like / unlike a tweet ────────────────────────────────────────────────
 
-        const parseBtn = (testId) => {
-          const el =
-            article.querySelector(`[data-testid="${testId}"]`) ||
-            article.querySelector(`[data-testid="un${testId}"]`);
-          if (el) {
-            const m = (el.getAttribute("aria-label") || "").match(/(\d+)/);
-            if (m) return parseInt(m[1]);
-          }
-          return 0;
-        };
+  /**
+   * Like a tweet by ID.
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'liked'|'already_liked', timestamp: string}>}
+   */
+  async likeTweet(tweetId) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
 
-        reply.replies = parseBtn("reply");
-        reply.reposts = parseBtn("retweet");
-        reply.likes = (() => {
-          const el =
-            article.querySelector('[data-testid="like"]') ||
-            article.querySelector('[data-testid="unlike"]');
-          if (el) {
-            const m = (el.getAttribute("aria-label") || "").match(/(\d+)/);
-            if (m) return parseInt(m[1]);
-          }
-          return 0;
-        })();
+    try {
+      const article = await this._openTweet(tweetId);
 
-        r.initialReplies.push(reply);
+      const changed = await this._toggleTweetButton(article, { from: "like", to: "unlike" });
+
+      if (changed === null) {
+        throw new SelectorNotFoundError(`Could not detect like button for tweet ${tweetId}`, "like");
+      }
+      if (changed === false) {
+        return { tweetId, status: "already_liked", timestamp: new Date().toISOString() };
       }
 
-      return r;
-    });
+      const result = { tweetId, status: "liked", timestamp: new Date().toISOString() };
+      this.emit("tweetLiked", result);
+      return result;
+    } catch (err) {
+      this.emit("likeFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
 
-    return { id: tweetId, url, ...data };
+  /**
+   * Remove a like from a tweet by ID.
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'unliked'|'not_liked', timestamp: string}>}
+   */
+  async unlikeTweet(tweetId) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
+
+    try {
+      const article = await this._openTweet(tweetId);
+
+      const changed = await this._toggleTweetButton(article, { from: "unlike", to: "like" });
+
+      if (changed === null) {
+        throw new SelectorNotFoundError(`Could not detect like button for tweet ${tweetId}`, "unlike");
+      }
+      if (changed === false) {
+        return { tweetId, status: "not_liked", timestamp: new Date().toISOString() };
+      }
+
+      const result = { tweetId, status: "unliked", timestamp: new Date().toISOString() };
+      this.emit("tweetUnliked", result);
+      return result;
+    } catch (err) {
+      this.emit("unlikeFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
   }
 
-  // ── Get tweet comments (with scroll & count limit) ────────────────────────
+  // ── Bookmark / remove bookmark ───────────────────────────────────────────
 
-  async getTweetComments(tweetId, count = 20) {
+  /**
+   * Bookmark a tweet by ID.
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'bookmarked'|'already_bookmarked', timestamp: string}>}
+   */
+  async bookmarkTweet(tweetId) {
     this._ensureReady();
     if (!tweetId) throw new Error("Tweet ID is required");
 
-    const url = this._tweetUrl(tweetId);
+    try {
+      const article = await this._openTweet(tweetId);
 
-    if (!this.page.url().includes(`/status/${tweetId}`)) {
-      await this.page.goto(url, {
-        waitUntil: "networkidle2",
-        timeout: this.timeout,
-      });
-    }
-    await delay(2000);
+      const changed = await this._toggleTweetButton(article, { from: "bookmark", to: "removeBookmark" });
 
-    // Get actual reply count from the page to cap requested count
-    const actualReplyCount = await this.page.evaluate(() => {
-      const replyBtn = document.querySelector('[data-testid="reply"]');
-      if (replyBtn) {
-        const m = (replyBtn.getAttribute("aria-label") || "").match(/(\d+)/);
-        if (m) return parseInt(m[1]);
+      if (changed === null) {
+        throw new SelectorNotFoundError(`Could not detect bookmark button for tweet ${tweetId}`, "bookmark");
+      }
+      if (changed === false) {
+        return { tweetId, status: "already_bookmarked", timestamp: new Date().toISOString() };
       }
-      return 0;
-    });
 
-    const targetCount = Math.min(count, actualReplyCount || count);
+      const result = { tweetId, status: "bookmarked", timestamp: new Date().toISOString() };
+      this.emit("tweetBookmarked", result);
+      return result;
+    } catch (err) {
+      this.emit("bookmarkFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
 
-    const collectedMap = new Map(); // tweetId → comment (dedup)
-    let scrollBlocked = false;
-    let noNewDataRetries = 0;
-    const MAX_RETRIES = 5;
+  /**
+   * Remove a tweet from bookmarks by ID.
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'bookmark_removed'|'not_bookmarked', timestamp: string}>}
+   */
+  async removeBookmark(tweetId) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
 
-    const scrapeVisibleComments = async () => {
-      return await this.page.evaluate(() => {
-        const results = [];
-        const cells = document.querySelectorAll('[data-testid="cellInnerDiv"]');
-        let foundMainTweet = false;
+    try {
+      const article = await this._openTweet(tweetId);
 
-        for (const cell of cells) {
-          const article = cell.querySelector('article[data-testid="tweet"]');
-          if (!article) continue;
+      const changed = await this._toggleTweetButton(article, { from: "removeBookmark", to: "bookmark" });
 
-          if (!foundMainTweet) {
-            foundMainTweet = true;
-            continue;
-          }
+      if (changed === null) {
+        throw new SelectorNotFoundError(`Could not detect bookmark button for tweet ${tweetId}`, "removeBookmark");
+      }
+      if (changed === false) {
+        return { tweetId, status: "not_bookmarked", timestamp: new Date().toISOString() };
+      }
 
-          const comment = {
-            tweetId: null,
-            username: "",
-            handle: "",
-            text: "",
-            time: "",
-            likes: 0,
-            replies: 0,
-            reposts: 0,
-          };
+      const result = { tweetId, status: "bookmark_removed", timestamp: new Date().toISOString() };
+      this.emit("bookmarkRemoved", result);
+      return result;
+    } catch (err) {
+      this.emit("removeBookmarkFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
 
-          // Extract tweet ID from permalink
-          const permalink = article.querySelector('a[href*="/status/"] time')?.closest("a");
-          if (permalink) {
-            const match = permalink.getAttribute("href").match(/\/status\/(\d+)/);
-            if (match) comment.tweetId = match[1];
-          }
+  // ── Delete tweets ────────────────────────────────────────────────────────
 
-          const userNameEl = article.querySelector('[data-testid="User-Name"]');
-          if (userNameEl) {
-            const spans = userNameEl.querySelectorAll("a");
-            if (spans[0]) {
-              const nameSpan = spans[0].querySelector("span span");
-              if (nameSpan) comment.username = nameSpan.innerText;
-            }
-            if (spans[1]) {
-              const handleSpan = spans[1].querySelector("span");
-              if (handleSpan) comment.handle = handleSpan.innerText;
-            }
-          }
+  /**
+   * Delete one of the bot account's tweets via the caret menu → "Delete"
+   * → confirmation dialog.
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'deleted', timestamp: string}>}
+   */
+  async deleteTweet(tweetId) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
 
-          const timeEl = article.querySelector("time");
-          if (timeEl) comment.time = timeEl.getAttribute("datetime") || timeEl.innerText;
+    try {
+      const article = await this._openTweet(tweetId);
 
-          const textEl = article.querySelector('[data-testid="tweetText"]');
-          if (textEl) comment.text = textEl.innerText;
+      await this._openTweetMenu(article, tweetId);
 
-          const parseBtn = (testId) => {
-            const el =
-              article.querySelector(`[data-testid="${testId}"]`) ||
-              article.querySelector(`[data-testid="un${testId}"]`);
-            if (el) {
-              const m = (el.getAttribute("aria-label") || "").match(/(\d+)/);
-              if (m) return parseInt(m[1]);
-            }
-            return 0;
-          };
+      if (!(await this._clickMenuItem(DELETE_ITEM))) {
+        await this.page.keyboard.press("Escape");
+        throw new TwitterBotError(`Delete option not found for tweet ${tweetId} — is it your tweet?`, "MENU_ITEM_NOT_FOUND");
+      }
+      await delay(1000);
 
-          comment.replies = parseBtn("reply");
-          comment.reposts = parseBtn("retweet");
-          comment.likes = (() => {
-            const el =
-              article.querySelector('[data-testid="like"]') ||
-              article.querySelector('[data-testid="unlike"]');
-            if (el) {
-              const m = (el.getAttribute("aria-label") || "").match(/(\d+)/);
-              if (m) return parseInt(m[1]);
-            }
-            return 0;
-          })();
+      const confirmed = await this._clickSelector("confirmButton");
+      if (!confirmed) throw new SelectorNotFoundError(`Delete confirmation not found for tweet ${tweetId}`, "confirmButton");
+      await delay(2000);
 
-          results.push(comment);
-        }
+      const stillThere = await this.page.evaluate((id, tweetSelector) => {
+        return !!document.querySelector(`${tweetSelector} a[href*="/status/${id}"] time`);
+      }, tweetId, this.selectors.tweet);
+      if (stillThere) throw new TwitterBotError(`Delete of tweet ${tweetId} did not complete`, "ACTION_NOT_CONFIRMED");
 
-        return results;
-      });
+      const result = { tweetId, status: "deleted", timestamp: new Date().toISOString() };
+      this.emit("tweetDeleted", result);
+      return result;
+    } catch (err) {
+      this.emit("deleteFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  /**
+   * Delete the bot account's own tweets matching a filter. Walks the
+   * profile timeline with getUserTweets() (retweets are never touched),
+   * then deletes matches one by one. Requires the `username` option.
+   *
+   * @param {object} [options]
+   * @param {Date|string|number} [options.olderThan] – Only tweets posted before this date
+   * @param {string|RegExp} [options.containing]   – Only tweets whose text matches
+   * @param {number}  [options.maxCount=50]        – Max tweets to delete
+   * @param {boolean} [options.dryRun=false]       – Only report what would be deleted
+   * @param {boolean} [options.includeReplies=true] – Also consider replies
+   * @param {number}  [options.scanLimit=200]      – Max timeline tweets to read
+   * @returns {Promise<object>}
+   */
+  async deleteTweets(options = {}) {
+    this._ensureReady();
+    if (!this.username) throw new Error("username option is required for deleteTweets()");
+
+    const {
+      olderThan,
+      containing,
+      maxCount = 50,
+      dryRun = false,
+      includeReplies = true,
+      scanLimit = 200,
+    } = options;
+
+    const cutoff = olderThan !== undefined ? new Date(olderThan).getTime() : null;
+    if (cutoff !== null && isNaN(cutoff)) throw new Error("olderThan is not a valid date");
+
+    const matchesText = (text) => {
+      if (!containing) return true;
+      if (containing instanceof RegExp) return containing.test(text);
+      return text.toLowerCase().includes(String(containing).toLowerCase());
     };
 
-    // ── Scroll loop ──────────────────────────────────────────────────
-    while (collectedMap.size < targetCount) {
-      const visible = await scrapeVisibleComments();
+    const timeline = await this.getUserTweets(this.username, scanLimit, {
+      includeReplies,
+      includeRetweets: false,
+    });
 
-      let newFound = 0;
-      for (const c of visible) {
-        const key = c.tweetId || `${c.handle}_${c.text}`;
-        if (!collectedMap.has(key)) {
-          collectedMap.set(key, c);
-          newFound++;
-        }
-        if (collectedMap.size >= targetCount) break;
-      }
+    const matches = timeline.tweets
+      .filter((t) => cutoff === null || (t.time && Date.parse(t.time) < cutoff))
+      .filter((t) => matchesText(t.text))
+      .slice(0, maxCount);
 
-      if (collectedMap.size >= targetCount) break;
+    const results = [];
+    for (const t of matches) {
+      const entry = { tweetId: t.tweetId, text: t.text, time: t.time };
 
-      if (newFound === 0) {
-        noNewDataRetries++;
-        if (noNewDataRetries >= MAX_RETRIES) {
-          scrollBlocked = true;
-          break;
-        }
-      } else {
-        noNewDataRetries = 0;
+      if (dryRun) {
+        results.push({ ...entry, status: "would_delete" });
+        continue;
       }
 
-      // Scroll down
-      const prevHeight = await this.page.evaluate(() => document.body.scrollHeight);
-      await this.page.evaluate(() => window.scrollBy(0, 800));
-      await delay(1500);
-      const newHeight = await this.page.evaluate(() => document.body.scrollHeight);
-
-      // Detect if scroll is physically blocked (page height didn't change)
-      if (newHeight === prevHeight) {
-        noNewDataRetries++;
-        if (noNewDataRetries >= MAX_RETRIES) {
-          scrollBlocked = true;
-          break;
-        }
-        // Wait a bit longer before retrying
-        await delay(1000);
+      try {
+        await this.deleteTweet(t.tweetId);
+        results.push({ ...entry, status: "deleted" });
+      } catch (err) {
+        results.push({ ...entry, status: "failed", error: err.message });
       }
+      await delay(2000 + Math.random() * 2000);
     }
 
-    const comments = Array.from(collectedMap.values()).slice(0, targetCount);
-
     return {
-      id: tweetId,
-      url,
-      requested: count,
-      actualReplyCount,
-      collected: comments.length,
-      scrollBlocked,
-      comments,
+      dryRun,
+      scanned: timeline.collected,
+      scrollBlocked: timeline.scrollBlocked,
+      matched: matches.length,
+      deleted: results.filter((r) => r.status === "deleted").length,
+      failed: results.filter((r) => r.status === "failed").length,
+      results,
+      timestamp: new Date().toISOString(),
     };
   }
 
-  // ── Follow a user ──────────────────────────────────────────────────────────
+  // ── Pin / unpin a tweet ──────────────────────────────────────────────────
 
   /**
-   * Follow a user on X (Twitter).
-   * @param {string} username – The username to follow (without @)
-   * @returns {Promise<{username: string, status: 'followed'|'already_following'|'failed', timestamp: string}>}
+   * Pin one of the bot account's tweets to its profile (caret menu →
+   * "Pin to your profile" → confirm).
+   * @param {string} tweetId
+   * @returns {Promise<{tweetId: string, status: 'pinned'|'already_pinned', timestamp: string}>}
    */
-  async followUser(username) {
+  async pinTweet(tweetId) {
     this._ensureReady();
-    if (!username) throw new Error("Username is required");
-
-    // Strip @ if provided
-    username = username.replace(/^@/, "");
+    if (!tweetId) throw new Error("Tweet ID is required");
 
     try {
-      await this.page.goto(`https://x.com/${username}`, {
-        waitUntil: "networkidle2",
-        timeout: this.timeout,
-      });
-      await delay(2000);
+      const article = await this._openTweet(tweetId);
+      await this._openTweetMenu(article, tweetId);
 
-      // Check if the profile page loaded correctly (not a 404 / suspended)
-      const profileExists = await this.page.evaluate(() => {
-        const errorHeading = document.querySelector('[data-testid="empty_state_header_text"]');
-        if (errorHeading) return false;
-        if (document.querySelector('[data-testid="UserName"]')) return true;
-        if (document.querySelector('[data-testid="UserAvatar-Container-unknown"]')) return false;
-        return true;
-      });
+      if (await this._hasMenuItem(UNPIN_ITEM)) {
+        await this.page.keyboard.press("Escape");
+        return { tweetId, status: "already_pinned", timestamp: new Date().toISOString() };
+      }
 
-      if (!profileExists) {
-        throw new Error(`User @${username} not found or account is suspended`);
+      if (!(await this._clickMenuItem(PIN_ITEM))) {
+        await this.page.keyboard.press("Escape");
+        throw new TwitterBotError(`Pin option not found for tweet ${tweetId} — is it your tweet?`, "MENU_ITEM_NOT_FOUND");
       }
+      await delay(1000);
 
-      // Detect follow state.
-      // On subscription accounts, the "Subscribe" button also has data-testid$="-unfollow"
-      // but with a colored background. The real unfollow button has transparent bg (rgba(0,0,0,0))
-      // or is a separate button whose aria-label contains "@".
-      const followState = await this.page.evaluate(() => {
-        // Check for transparent-bg unfollow button (normal accounts)
-        const unfollowBtn = document.querySelector('[data-testid$="-unfollow"]');
-        if (unfollowBtn) {
-          const bg = unfollowBtn.style.backgroundColor;
-          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") return "already_following";
-        }
+      const confirmed = await this._clickSelector("confirmButton");
+      if (!confirmed) throw new SelectorNotFoundError(`Pin confirmation not found for tweet ${tweetId}`, "confirmButton");
+      await delay(2000);
 
-        // Check for aria-label unfollow button with @ (subscription accounts)
-        const allButtons = document.querySelectorAll('button[role="button"]');
-        for (const btn of allButtons) {
-          const label = btn.getAttribute("aria-label") || "";
-          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") {
-            return "already_following";
-          }
-        }
+      const result = { tweetId, status: "pinned", timestamp: new Date().toISOString() };
+      this.emit("tweetPinned", result);
+      return result;
+    } catch (err) {
+      this.emit("pinFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  /**
+   * Unpin whatever tweet is currently pinned to the bot account's profile.
+   * @returns {Promise<{tweetId: string|null, status: 'unpinned'|'not_pinned', timestamp: string}>}
+   */
+  async unpinTweet() {
+    this._ensureReady();
+
+    let tweetId = null;
+    try {
+      tweetId = await this.getPinnedTweetId();
+      if (!tweetId) {
+        return { tweetId: null, status: "not_pinned", timestamp: new Date().toISOString() };
+      }
+
+      // getPinnedTweetId() left us on the profile — the pinned tweet is on top
+      const handle = await this.page.evaluateHandle((id, tweetSelector) => {
+        for (const article of document.querySelectorAll(tweetSelector)) {
+          if (article.querySelector(`a[href*="/status/${id}"] time`)) return article;
+        }
+        return null;
+      }, tweetId, this.selectors.tweet);
+      const article = handle.asElement();
+      if (!article) throw new TwitterBotError(`Pinned tweet ${tweetId} not found on profile`, "TWEET_NOT_FOUND");
+
+      await this._openTweetMenu(article, tweetId);
+
+      if (!(await this._clickMenuItem(UNPIN_ITEM))) {
+        await this.page.keyboard.press("Escape");
+        throw new TwitterBotError(`Unpin option not found for tweet ${tweetId}`, "MENU_ITEM_NOT_FOUND");
+      }
+      await delay(1000);
+
+      const confirmed = await this._clickSelector("confirmButton");
+      if (!confirmed) throw new SelectorNotFoundError(`Unpin confirmation not found for tweet ${tweetId}`, "confirmButton");
+      await delay(2000);
+
+      const result = { tweetId, status: "unpinned", timestamp: new Date().toISOString() };
+      this.emit("tweetUnpinned", result);
+      return result;
+    } catch (err) {
+      this.emit("unpinFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  /**
+   * ID of the tweet pinned to a profile, read from the profile page.
+   * @param {string} [username] – Defaults to the bot account
+   * @returns {Promise<string|null>}
+   */
+  async getPinnedTweetId(username) {
+    this._ensureReady();
+
+    username = (username || (await this._ownUsername())).replace(/^@/, "");
+
+    await this.page.goto(`https://x.com/${username}`, {
+      waitUntil: "networkidle2",
+      timeout: this.timeout,
+    });
+    await delay(2000);
+    this._checkSession();
+
+    if ((await this._profileState()) !== "ok") {
+      throw new UserNotFoundError(username);
+    }
+
+    if (!(await this._waitFor(this.selectors.tweet, 10000))) return null;
+
+    const articles = await this.page.evaluate(_parseTweetArticles, this.selectors);
+    const pinned = articles.find((t) => t.isPinned);
+    return pinned ? pinned.tweetId : null;
+  }
+
+  // ── Get tweet stats + initial visible replies ─────────────────────────────
+
+  async getTweetStats(tweetId) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
+
+    const url = this._tweetUrl(tweetId);
+
+    const mark = this._graphqlMark();
+    await this.page.goto(url, {
+      waitUntil: "networkidle2",
+      timeout: this.timeout,
+    });
+    await delay(1500);
+    this._checkSession();
+
+    // DOM scrape first — polls only exist here, and it's the fallback for the rest
+    const data = await this.page.evaluate((sel) => {
+      const r = {
+        text: "",
+        likes: 0,
+        replies: 0,
+        reposts: 0,
+        views: 0,
+        bookmarks: 0,
+        poll: null,
+      };
+
+      // ── Main tweet stats ──────────────────────────────────────────
+      const tweetText = document.querySelector(sel.tweetText);
+      if (tweetText) r.text = tweetText.innerText;
+
+      const parse = (...selectors) => {
+        for (const selector of selectors) {
+          const el = document.querySelector(selector);
+          if (el) return window.__xbotParseCount(el.getAttribute("aria-label"));
+        }
+        return 0;
+      };
+
+      r.replies = parse(sel.reply);
+      r.reposts = parse(sel.retweet, sel.unretweet);
+      r.likes = parse(sel.like, sel.unlike);
+      r.bookmarks = parse(sel.bookmark, sel.removeBookmark);
+
+      // ── Poll ──────────────────────────────────────────────────────
+      // Card text reads "Yes\n62.5%\nNo\n37.5%\n123 votes · Final results";
+      // percentages are only shown once voted / ended / on own polls
+      const pollCard = document.querySelector(sel.poll);
+      if (pollCard) {
+        const lines = pollCard.innerText.split("\n").map((l) => l.trim()).filter(Boolean);
+        const choices = [];
+        for (let i = 1; i < lines.length; i++) {
+          // "62.5%" / "%62,5" (Turkish puts the sign first)
+          const m = lines[i].match(/^%?\s?(\d+(?:[.,]\d+)?)\s?%?$/);
+          if (m && lines[i].includes("%")) {
+            choices.push({ label: lines[i - 1], percent: parseFloat(m[1].replace(",", ".")) });
+          }
+        }
+        if (choices.length === 0) {
+          for (const btn of pollCard.querySelectorAll('[role="radio"], [role="button"]')) {
+            const label = btn.innerText.trim();
+            if (label) choices.push({ label, percent: null });
+          }
+        }
+        // Footer is "<n> votes · <status>" in every language
+        const footer = lines.find((l) => l.includes("·") && /\d/.test(l.split("·")[0]));
+        r.poll = {
+          choices,
+          totalVotes: footer ? window.__xbotParseCount(footer.split("·")[0]) : 0,
+          ended: /final results|sonuçlar/i.test(pollCard.innerText),
+        };
+      }
+
+      // The analytics link's aria-label carries the exact view count in any language
+      const viewsEl = document.querySelector('a[href*="/analytics"][aria-label]');
+      if (viewsEl) r.views = window.__xbotParseCount(viewsEl.getAttribute("aria-label"));
+
+      return r;
+    }, this.selectors);
+
+    // ── Prefer the TweetDetail payload X loaded with the page ───────
+    const captured = this._graphqlTweets(
+      await this._graphqlPayloads("TweetDetail", { since: mark, match: (v) => v.focalTweetId === tweetId })
+    );
+    const focal = captured.find((t) => t.tweetId === tweetId);
+
+    if (focal) {
+      const { text, likes, replies, reposts, views, bookmarks, media } = focal;
+      Object.assign(data, { text, likes, replies, reposts, views, bookmarks, media });
+      data.initialReplies = this._repliesOf(tweetId, captured);
+      data.source = "graphql";
+    } else {
+      // ── Main tweet media + initial visible replies (no scroll) ──────
+      const articles = await this.page.evaluate(_parseTweetArticles, this.selectors);
+      const main = articles.find((t) => t.tweetId === tweetId);
+      // Deleted, hidden or not loaded — the zeros scraped above would be made up
+      if (!main) throw new TwitterBotError(`Tweet ${tweetId} not found or unavailable`, "TWEET_NOT_FOUND");
+      data.media = main.media;
+      data.initialReplies = this._repliesOf(tweetId, articles);
+      data.source = "dom";
+    }
+
+    return { id: tweetId, url, ...data };
+  }
+
+  // ── Get tweet comments (with scroll & count limit) ────────────────────────
+
+  async getTweetComments(tweetId, count = 20) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
+
+    const url = this._tweetUrl(tweetId);
+
+    // Already on the tweet → the TweetDetail responses captured so far still apply
+    let since = 0;
+    if (!this.page.url().includes(`/status/${tweetId}`)) {
+      since = this._graphqlMark();
+      await this.page.goto(url, {
+        waitUntil: "networkidle2",
+        timeout: this.timeout,
+      });
+    }
+    await delay(2000);
+    this._checkSession();
+
+    // Tweets from TweetDetail payloads (scrolling fetches more pages);
+    // when nothing was captured the DOM is used instead
+    const capturedTweets = async () =>
+      this._graphqlTweets(
+        await this._graphqlPayloads("TweetDetail", { since, match: (v) => v.focalTweetId === tweetId })
+      );
+
+    // Get actual reply count from the page to cap requested count
+    const focal = (await capturedTweets()).find((t) => t.tweetId === tweetId);
+    const actualReplyCount = focal
+      ? focal.replies
+      : await this.page.evaluate((replySelector) => {
+          const replyBtn = document.querySelector(replySelector);
+          return replyBtn ? window.__xbotParseCount(replyBtn.getAttribute("aria-label")) : 0;
+        }, this.selectors.reply);
+
+    const targetCount = Math.min(count, actualReplyCount || count);
+
+    const scrapeVisibleComments = async () => {
+      const replies = this._repliesOf(tweetId, await capturedTweets());
+      if (replies.length > 0) return replies;
+      return this._repliesOf(tweetId, await this.page.evaluate(_parseTweetArticles, this.selectors));
+    };
+
+    const { items: comments, scrollBlocked } = await this._scrollCollect(
+      scrapeVisibleComments,
+      targetCount,
+      (c) => c.tweetId || `${c.handle}_${c.text}`
+    );
+
+    return {
+      id: tweetId,
+      url,
+      requested: count,
+      actualReplyCount,
+      collected: comments.length,
+      scrollBlocked,
+      comments,
+    };
+  }
+
+  // ── Conversation tree ────────────────────────────────────────────────────
+
+  /**
+   * Walk a tweet's replies recursively with getTweetComments() and return
+   * them as a nested tree. Every node carries `parentId` and `depth`;
+   * replies X shows with 0 replies are not opened.
+   *
+   * @param {string} tweetId
+   * @param {object} [options]
+   * @param {number} [options.maxDepth=3]     – Reply levels below the tweet to walk
+   * @param {number} [options.maxPerLevel=20] – Max replies collected per node
+   * @param {string} [options.exportTo]       – Also write the tree to this file
+   * @param {'json'|'csv'} [options.format]   – Export format (default: from the file extension, else JSON)
+   * @returns {Promise<{id: string, url: string, maxDepth: number, maxPerLevel: number, total: number, scrollBlocked: boolean, exported: string|null, tree: object}>}
+   */
+  async getConversationTree(tweetId, options = {}) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
+
+    const { maxDepth = 3, maxPerLevel = 20, exportTo = null } = options;
+
+    // Not a PAGE_METHOD itself (it locks per getTweetComments() call), so
+    // the root read takes the lock on its own
+    const articles = await this._withPage(async () => {
+      await this._openTweet(tweetId);
+      return this.page.evaluate(_parseTweetArticles, this.selectors);
+    });
+    const rootTweet = articles.find((t) => t.tweetId === tweetId) || { tweetId };
+    const root = { ...rootTweet, parentId: null, depth: 0, children: [] };
+
+    const seen = new Set([tweetId]);
+    let total = 0;
+    let scrollBlocked = false;
+
+    const walk = async (node) => {
+      if (node.depth >= maxDepth) return;
+      if (node.depth > 0 && !node.replies) return;
+
+      const page = await this.getTweetComments(node.tweetId, maxPerLevel);
+      if (page.scrollBlocked) scrollBlocked = true;
+
+      for (const comment of page.comments) {
+        if (!comment.tweetId || seen.has(comment.tweetId)) continue;
+        // X also shows replies to these replies here — they are picked up
+        // when their own parent is walked
+        if (comment.inReplyTo && comment.inReplyTo !== node.tweetId) continue;
+        seen.add(comment.tweetId);
+        node.children.push({ ...comment, parentId: node.tweetId, depth: node.depth + 1, children: [] });
+        total++;
+      }
+      for (const child of node.children) await walk(child);
+    };
+    await walk(root);
+
+    let exported = null;
+    if (exportTo) {
+      const path = require("path");
+      exported = path.resolve(exportTo);
+      const format = options.format || (path.extname(exported).toLowerCase() === ".csv" ? "csv" : "json");
+      const content = format === "csv" ? this._conversationCsv(root) : JSON.stringify(root, null, 2);
+      require("fs").writeFileSync(exported, content);
+    }
+
+    return {
+      id: tweetId,
+      url: this._tweetUrl(tweetId),
+      maxDepth,
+      maxPerLevel,
+      total,
+      scrollBlocked,
+      exported,
+      tree: root,
+    };
+  }
+
+  // ── Download tweet media ─────────────────────────────────────────────────
+
+  /**
+   * Save a tweet's photos, videos and GIFs to `destDir` in the highest
+   * resolution available, plus a `<tweetId>.json` manifest. Video variants
+   * come from the TweetDetail response X loads with the page — the DOM only
+   * exposes a stream blob — so photos fall back to the DOM when it's missing.
+   *
+   * @param {string} tweetId
+   * @param {string} destDir – Created if missing
+   * @returns {Promise<{tweetId: string, destDir: string, manifest: string, saved: number, failed: number, files: object[], timestamp: string}>}
+   */
+  async downloadTweetMedia(tweetId, destDir) {
+    this._ensureReady();
+    if (!tweetId) throw new Error("Tweet ID is required");
+    if (!destDir) throw new Error("Destination directory is required");
+
+    const fs = require("fs");
+    const path = require("path");
+    const dir = path.resolve(destDir);
+
+    try {
+      const mark = this._graphqlMark();
+      await this._openTweet(tweetId);
+      const articles = await this.page.evaluate(_parseTweetArticles, this.selectors);
+      const responses = await this._graphqlPayloads("TweetDetail", { since: mark });
+
+      const main = articles.find((t) => t.tweetId === tweetId) || {};
+      const entries = this._mediaVariants(tweetId, responses) || this._domMediaVariants(main.media || []);
+
+      fs.mkdirSync(dir, { recursive: true });
+
+      const files = [];
+      for (let i = 0; i < entries.length; i++) {
+        const entry = { index: i, ...entries[i], file: null, bytes: 0, error: null };
+        try {
+          if (!entry.url) throw new TwitterBotError(`No downloadable ${entry.type} source found`, "DOWNLOAD_FAILED");
+          const ext = this._mediaExtension(entry.url, entry.type);
+          entry.file = `${tweetId}_${i + 1}${ext}`;
+          entry.bytes = await this._downloadFile(entry.url, path.join(dir, entry.file));
+        } catch (err) {
+          entry.file = null;
+          entry.error = err.message;
+        }
+        files.push(entry);
+      }
+
+      const manifestPath = path.join(dir, `${tweetId}.json`);
+      const manifest = {
+        tweetId,
+        url: this._tweetUrl(tweetId),
+        handle: main.handle || "",
+        text: main.text || "",
+        time: main.time || "",
+        downloadedAt: new Date().toISOString(),
+        files,
+      };
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+      const result = {
+        tweetId,
+        destDir: dir,
+        manifest: manifestPath,
+        saved: files.filter((f) => !f.error).length,
+        failed: files.filter((f) => f.error).length,
+        files,
+        timestamp: new Date().toISOString(),
+      };
+      this.emit("mediaDownloaded", result);
+      return result;
+    } catch (err) {
+      this.emit("mediaDownloadFailed", { tweetId, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  // ── Engagement tracking ──────────────────────────────────────────────────
+
+  /**
+   * Re-sample getTweetStats() for each tweet every `interval` ms until
+   * `duration` has passed (or stop() / close()). Every sample is kept in
+   * memory — or, with `store` / the `statsFile` option, appended there as one
+   * JSON line — and emitted as `statsUpdated` with the change since the
+   * previous snapshot, including snapshots from earlier runs.
+   *
+   * @param {string[]} ids – Tweet IDs
+   * @param {object} [options]
+   * @param {number} [options.interval=900000]  – Sample interval (ms)
+   * @param {number} [options.duration=86400000] – Stop after this long (ms)
+   * @param {string} [options.store=statsFile]   – JSON-lines file to append to
+   * @returns {{stop: () => void}}
+   */
+  trackTweets(ids, options = {}) {
+    this._ensureReady();
+    if (!Array.isArray(ids) || ids.length === 0) throw new Error("Tweet IDs are required");
+    if (this._statsTracker) throw new Error("trackTweets() is already running");
+
+    const fs = require("fs");
+    const {
+      interval = 15 * 60 * 1000,
+      duration = 24 * 60 * 60 * 1000,
+    } = options;
+    const store = options.store || this.statsFile;
+    const storePath = store ? require("path").resolve(store) : null;
+    const endsAt = Date.now() + duration;
+
+    // Continue deltas from the last stored snapshot of each tweet
+    const last = {};
+    for (const id of ids) {
+      const { snapshots } = this.getStatsHistory(id, { store: storePath });
+      last[id] = snapshots.length ? snapshots[snapshots.length - 1] : null;
+    }
+
+    const sample = async () => {
+      if (Date.now() >= endsAt) {
+        if (this._statsTracker) this._statsTracker.stop();
+        return;
+      }
+      if (this._backgroundBusy || !this.isReady) return;
+      this._backgroundBusy = true;
+      try {
+        for (const id of ids) {
+          try {
+            const stats = await this.getTweetStats(id);
+            const snapshot = {
+              tweetId: id,
+              likes: stats.likes,
+              replies: stats.replies,
+              reposts: stats.reposts,
+              views: stats.views,
+              bookmarks: stats.bookmarks,
+              timestamp: new Date().toISOString(),
+            };
+            if (storePath) fs.appendFileSync(storePath, JSON.stringify(snapshot) + "\n");
+            else this._statsSnapshots.push(snapshot);
+
+            const previous = last[id];
+            const deltas = {};
+            for (const key of ["likes", "replies", "reposts", "views", "bookmarks"]) {
+              deltas[key] = previous ? snapshot[key] - previous[key] : 0;
+            }
+            last[id] = snapshot;
+            this.emit("statsUpdated", { tweetId: id, snapshot, previous, deltas });
+          } catch (err) {
+            // Nothing is stored for a failed sample (e.g. TWEET_NOT_FOUND),
+            // so the next one is compared with the last real snapshot
+            this._backgroundError("stats", err);
+          }
+        }
+      } finally {
+        this._backgroundBusy = false;
+      }
+    };
+
+    const timer = setInterval(sample, interval);
+    sample();
+
+    this._statsTracker = {
+      stop: () => {
+        clearInterval(timer);
+        this._statsTracker = null;
+      },
+    };
+    return this._statsTracker;
+  }
+
+  /**
+   * Snapshots taken by trackTweets() for one tweet, oldest first — from
+   * `store` / the `statsFile` option if set, otherwise from memory.
+   * @param {string} tweetId
+   * @param {object} [options]
+   * @param {string} [options.store=statsFile]
+   * @returns {{tweetId: string, count: number, snapshots: object[]}}
+   */
+  getStatsHistory(tweetId, options = {}) {
+    if (!tweetId) throw new Error("Tweet ID is required");
+
+    const store = options.store || this.statsFile;
+    if (!store) {
+      const snapshots = this._statsSnapshots.filter((s) => s.tweetId === tweetId);
+      return { tweetId, count: snapshots.length, snapshots };
+    }
+
+    const fs = require("fs");
+    const storePath = require("path").resolve(store);
+
+    const snapshots = [];
+    if (fs.existsSync(storePath)) {
+      for (const line of fs.readFileSync(storePath, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          const snapshot = JSON.parse(line);
+          if (snapshot.tweetId === tweetId) snapshots.push(snapshot);
+        } catch { /* skip a line cut off by a crash mid-write */ }
+      }
+    }
+
+    return { tweetId, count: snapshots.length, snapshots };
+  }
+
+  // ── User timeline ────────────────────────────────────────────────────────
+
+  /**
+   * Scrape the tweets on a user's profile timeline (auto-scroll).
+   * Replies come from the /with_replies tab; `mediaOnly` keeps tweets that
+   * carry photos, videos or GIFs.
+   *
+   * @param {string} username – Username (with or without @)
+   * @param {number} [count=20] – Max tweets to collect
+   * @param {object} [options]
+   * @param {boolean} [options.includeReplies=false]  – Include the user's replies
+   * @param {boolean} [options.includeRetweets=true]  – Include retweets
+   * @param {boolean} [options.mediaOnly=false]       – Only tweets with media
+   * @returns {Promise<{username: string, url: string, requested: number, collected: number, scrollBlocked: boolean, tweets: object[]}>}
+   */
+  async getUserTweets(username, count = 20, options = {}) {
+    this._ensureReady();
+    if (!username) throw new Error("Username is required");
+
+    // Strip @ if provided
+    username = username.replace(/^@/, "");
+
+    const { includeReplies = false, includeRetweets = true, mediaOnly = false } = options;
+    const ownHandle = `@${username.toLowerCase()}`;
+
+    const url = `https://x.com/${username}${includeReplies ? "/with_replies" : ""}`;
+
+    await this.page.goto(url, { waitUntil: "networkidle2", timeout: this.timeout });
+    await delay(2000);
+    this._checkSession();
+
+    if ((await this._profileState()) !== "ok") {
+      throw new UserNotFoundError(username);
+    }
+
+    // /with_replies also renders the tweets being replied to — keep only
+    // the user's own tweets and (optionally) their retweets
+    const keep = (t) => {
+      if (!t.tweetId) return false;
+      if (t.isRetweet) return includeRetweets;
+      if (t.handle.toLowerCase() !== ownHandle) return false;
+      if (t.isReply && !includeReplies) return false;
+      if (mediaOnly && t.media.length === 0) return false;
+      return true;
+    };
+
+    const { items, scrollBlocked } = await this._scrollCollect(
+      async () => (await this.page.evaluate(_parseTweetArticles, this.selectors)).filter(keep),
+      count,
+      (t) => t.tweetId
+    );
+
+    return {
+      username,
+      url,
+      requested: count,
+      collected: items.length,
+      scrollBlocked,
+      tweets: items,
+    };
+  }
+
+  // ── User profile ─────────────────────────────────────────────────────────
+
+  /**
+   * Scrape a user's profile header.
+   * Missing and suspended accounts are returned with `status: 'not_found'`
+   * / `'suspended'` instead of throwing.
+   * @param {string} username – Username (with or without @)
+   * @returns {Promise<object>}
+   */
+  async getUserProfile(username) {
+    this._ensureReady();
+    if (!username) throw new Error("Username is required");
+
+    // Strip @ if provided
+    username = username.replace(/^@/, "");
+
+    const url = `https://x.com/${username}`;
+
+    await this.page.goto(url, { waitUntil: "networkidle2", timeout: this.timeout });
+    await delay(2000);
+    this._checkSession();
+
+    const status = await this._profileState();
+    if (status !== "ok") {
+      return { username, url, status, timestamp: new Date().toISOString() };
+    }
+
+    const profile = await this.page.evaluate((sel) => {
+      const p = {
+        userId: null,
+        displayName: "",
+        bio: "",
+        location: "",
+        website: "",
+        joinDate: "",
+        followers: 0,
+        following: 0,
+        verified: false,
+        protected: false,
+        avatarUrl: "",
+        bannerUrl: "",
+        isFollowing: false,
+        followsYou: false,
+      };
+
+      const text = (selector) => {
+        const el = document.querySelector(selector);
+        return el ? el.innerText.trim() : "";
+      };
+
+      const userNameEl = document.querySelector(sel.profileName);
+      if (userNameEl) {
+        const nameSpan = userNameEl.querySelector("span span");
+        if (nameSpan) p.displayName = nameSpan.innerText;
+        p.verified = !!userNameEl.querySelector(sel.verifiedIcon);
+        p.protected = !!userNameEl.querySelector(sel.protectedIcon);
+      }
+
+      p.bio = text(sel.profileBio);
+      p.location = text(sel.profileLocation);
+      p.website = text(sel.profileWebsite);
+      p.joinDate = text(sel.profileJoinDate);
+
+      // Link text is abbreviated ("1.2M Followers"); the count span's title, when present, is exact
+      const parseCount = (selector) => {
+        const el = document.querySelector(selector);
+        if (!el) return 0;
+        const exact = el.querySelector("span[title]");
+        return window.__xbotParseCount(exact ? exact.getAttribute("title") : el.innerText);
+      };
+
+      p.followers = parseCount('a[href$="/verified_followers"], a[href$="/followers"]');
+      p.following = parseCount('a[href$="/following"]');
+
+      const avatar = document.querySelector('a[href$="/photo"] img');
+      if (avatar) p.avatarUrl = avatar.src;
+      const banner = document.querySelector('a[href$="/header_photo"] img');
+      if (banner) p.bannerUrl = banner.src;
+
+      // Follow button test IDs are "<userId>-follow" / "<userId>-unfollow"
+      const followBtn = document.querySelector(`${sel.followButton}, ${sel.unfollowButton}`);
+      if (followBtn) {
+        const m = followBtn.getAttribute("data-testid").match(/^(\d+)-/);
+        if (m) p.userId = m[1];
+      }
+
+      // Same follow-state detection as followUser()
+      const unfollowBtn = document.querySelector(sel.unfollowButton);
+      if (unfollowBtn) {
+        const bg = unfollowBtn.style.backgroundColor;
+        if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") p.isFollowing = true;
+      }
+      if (!p.isFollowing) {
+        for (const btn of document.querySelectorAll('button[role="button"]')) {
+          const label = btn.getAttribute("aria-label") || "";
+          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") {
+            p.isFollowing = true;
+            break;
+          }
+        }
+      }
+
+      p.followsYou = !!document.querySelector(sel.followsYou);
+
+      return p;
+    }, this.selectors);
+
+    return { username, url, status, ...profile, timestamp: new Date().toISOString() };
+  }
+
+  // ── Followers / following lists ──────────────────────────────────────────
+
+  /**
+   * Scrape a user's followers (auto-scroll).
+   * @param {string} username – Username (with or without @)
+   * @param {number} [count=50] – Max users to collect
+   * @returns {Promise<{username: string, url: string, requested: number, collected: number, scrollBlocked: boolean, users: object[]}>}
+   */
+  async getFollowers(username, count = 50) {
+    return this._getUserList(username, "followers", count);
+  }
+
+  /**
+   * Scrape the accounts a user follows (auto-scroll).
+   * @param {string} username – Username (with or without @)
+   * @param {number} [count=50] – Max users to collect
+   * @returns {Promise<{username: string, url: string, requested: number, collected: number, scrollBlocked: boolean, users: object[]}>}
+   */
+  async getFollowing(username, count = 50) {
+    return this._getUserList(username, "following", count);
+  }
+
+  // ── Follow a user ──────────────────────────────────────────────────────────
+
+  /**
+   * Follow a user on X (Twitter).
+   * @param {string} username – The username to follow (without @)
+   * @returns {Promise<{username: string, status: 'followed'|'already_following'|'failed', timestamp: string}>}
+   */
+  async followUser(username) {
+    this._ensureReady();
+    if (!username) throw new Error("Username is required");
+
+    // Strip @ if provided
+    username = username.replace(/^@/, "");
+
+    try {
+      await this.page.goto(`https://x.com/${username}`, {
+        waitUntil: "networkidle2",
+        timeout: this.timeout,
+      });
+      await delay(2000);
+      this._checkSession();
+
+      // Check if the profile page loaded correctly (not a 404 / suspended)
+      const profileExists = (await this._profileState()) === "ok";
+
+      if (!profileExists) {
+        throw new UserNotFoundError(username);
+      }
+
+      // Detect follow state.
+      // On subscription accounts, the "Subscribe" button also has data-testid$="-unfollow"
+      // but with a colored background. The real unfollow button has transparent bg (rgba(0,0,0,0))
+      // or is a separate button whose aria-label contains "@".
+      const followState = await this.page.evaluate((sel) => {
+        // Check for transparent-bg unfollow button (normal accounts)
+        const unfollowBtn = document.querySelector(sel.unfollowButton);
+        if (unfollowBtn) {
+          const bg = unfollowBtn.style.backgroundColor;
+          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") return "already_following";
+        }
+
+        // Check for aria-label unfollow button with @ (subscription accounts)
+        const allButtons = document.querySelectorAll('button[role="button"]');
+        for (const btn of allButtons) {
+          const label = btn.getAttribute("aria-label") || "";
+          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") {
+            return "already_following";
+          }
+        }
+
+        const followBtn = document.querySelector(sel.followButton);
+        if (followBtn) return "not_following";
+
+        return "unknown";
+      }, this.selectors);
+
+      if (followState === "already_following") {
+        return {
+          username,
+          status: "already_following",
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      if (followState === "unknown") {
+        throw new SelectorNotFoundError(`Could not detect follow button for @${username}`, "followButton");
+      }
+
+      // Click the follow button
+      await this.page.evaluate((sel) => {
+        const btn = document.querySelector(sel.followButton);
+        if (btn) btn.click();
+      }, this.selectors);
+
+      await delay(2000);
+
+      // Verify follow succeeded
+      const confirmed = await this.page.evaluate((sel) => {
+        // Check transparent-bg unfollow button
+        const unfollowBtn = document.querySelector(sel.unfollowButton);
+        if (unfollowBtn) {
+          const bg = unfollowBtn.style.backgroundColor;
+          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") return true;
+        }
+        // Check aria-label unfollow button with @
+        const allButtons = document.querySelectorAll('button[role="button"]');
+        for (const btn of allButtons) {
+          const label = btn.getAttribute("aria-label") || "";
+          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") return true;
+        }
+        return false;
+      }, this.selectors);
+
+      if (!confirmed) {
+        throw new TwitterBotError(`Follow action for @${username} did not complete`, "ACTION_NOT_CONFIRMED");
+      }
+
+      const result = {
+        username,
+        status: "followed",
+        timestamp: new Date().toISOString(),
+      };
+      this.emit("userFollowed", result);
+      return result;
+    } catch (err) {
+      this.emit("followFailed", { username, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  // ── Unfollow a user ────────────────────────────────────────────────────────
+
+  /**
+   * Unfollow a user on X (Twitter).
+   * @param {string} username – The username to unfollow (without @)
+   * @returns {Promise<{username: string, status: 'unfollowed'|'not_following'|'failed', timestamp: string}>}
+   */
+  async unfollowUser(username) {
+    this._ensureReady();
+    if (!username) throw new Error("Username is required");
+
+    // Strip @ if provided
+    username = username.replace(/^@/, "");
+
+    try {
+      await this.page.goto(`https://x.com/${username}`, {
+        waitUntil: "networkidle2",
+        timeout: this.timeout,
+      });
+      await delay(2000);
+      this._checkSession();
+
+      // Check if the profile page loaded correctly
+      const profileExists = (await this._profileState()) === "ok";
+
+      if (!profileExists) {
+        throw new UserNotFoundError(username);
+      }
+
+      // Detect follow state.
+      // Subscription accounts have two buttons with data-testid$="-unfollow":
+      //   1) Subscribe button → colored background (e.g. purple)
+      //   2) Real unfollow button → transparent background rgba(0,0,0,0)
+      //      OR a separate button with aria-label containing "@" and aria-haspopup="menu"
+      const followState = await this.page.evaluate((sel) => {
+        // Check transparent-bg unfollow button (normal accounts)
+        const unfollowBtn = document.querySelector(sel.unfollowButton);
+        if (unfollowBtn) {
+          const bg = unfollowBtn.style.backgroundColor;
+          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") return "following";
+        }
+
+        // Check aria-label button with @ (subscription accounts)
+        const allButtons = document.querySelectorAll('button[role="button"]');
+        for (const btn of allButtons) {
+          const label = btn.getAttribute("aria-label") || "";
+          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") {
+            return "following";
+          }
+        }
+
+        const followBtn = document.querySelector(sel.followButton);
+        if (followBtn) return "not_following";
+
+        return "unknown";
+      }, this.selectors);
+
+      if (followState === "not_following") {
+        return {
+          username,
+          status: "not_following",
+          timestamp: new Date().toISOString(),
+        };
+      }
+
+      if (followState === "unknown") {
+        throw new SelectorNotFoundError(`Could not detect follow/unfollow button for @${username}`, "followButton");
+      }
+
+      // Click the correct unfollow button:
+      //   Priority 1: data-testid$="-unfollow" with transparent bg → normal account
+      //   Priority 2: button with aria-label containing "@" + aria-haspopup="menu" → subscription account
+      const clickedType = await this.page.evaluate((sel) => {
+        // Priority 1: transparent-bg unfollow button
+        const unfollowBtn = document.querySelector(sel.unfollowButton);
+        if (unfollowBtn) {
+          const bg = unfollowBtn.style.backgroundColor;
+          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") {
+            unfollowBtn.click();
+            return "normal";
+          }
+        }
+
+        // Priority 2: aria-label button with @ (subscription accounts)
+        const allButtons = document.querySelectorAll('button[role="button"]');
+        for (const btn of allButtons) {
+          const label = btn.getAttribute("aria-label") || "";
+          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") {
+            btn.click();
+            return "subscription";
+          }
+        }
+
+        return null;
+      }, this.selectors);
+
+      if (!clickedType) {
+        throw new SelectorNotFoundError(`Could not find unfollow button for @${username}`, "unfollowButton");
+      }
+
+      await delay(1500);
+
+      // Two possible flows after clicking:
+      //   A) Normal accounts → confirmation dialog with data-testid="confirmationSheetConfirm"
+      //   B) Subscription accounts → dropdown menu (role="menu") → click menuitem with @username
+
+      // Try Flow A: confirmation dialog
+      let unfollowConfirmed = await this.page.evaluate((sel) => {
+        const confirmBtn = document.querySelector(sel.confirmButton);
+        if (confirmBtn) {
+          confirmBtn.click();
+          return true;
+        }
+        return false;
+      }, this.selectors);
+
+      if (!unfollowConfirmed) {
+        // Try Flow B: dropdown menu — click the menuitem whose text contains @username
+        unfollowConfirmed = await this.page.evaluate((uname) => {
+          const menu = document.querySelector('[role="menu"]');
+          if (!menu) return false;
+
+          const items = menu.querySelectorAll('[role="menuitem"]');
+          for (const item of items) {
+            const text = item.innerText.toLowerCase();
+            if (text.includes("@" + uname.toLowerCase())) {
+              item.click();
+              return true;
+            }
+          }
+
+          // Fallback: click the first menuitem if only one exists
+          if (items.length === 1) {
+            items[0].click();
+            return true;
+          }
+
+          return false;
+        }, username);
+
+        if (!unfollowConfirmed) {
+          throw new TwitterBotError(`Unfollow confirmation not found for @${username}`, "MENU_ITEM_NOT_FOUND");
+        }
+
+        await delay(1000);
+
+        // After dropdown click, there may still be a confirmation dialog
+        await this.page.evaluate((sel) => {
+          const confirmBtn = document.querySelector(sel.confirmButton);
+          if (confirmBtn) confirmBtn.click();
+        }, this.selectors);
+      }
+
+      await delay(2000);
+
+      // Verify unfollow succeeded – follow button should appear
+      const verified = await this.page.evaluate((sel) => {
+        return !!document.querySelector(sel.followButton);
+      }, this.selectors);
+
+      if (!verified) {
+        throw new TwitterBotError(`Unfollow action for @${username} did not complete`, "ACTION_NOT_CONFIRMED");
+      }
+
+      const result = {
+        username,
+        status: "unfollowed",
+        timestamp: new Date().toISOString(),
+      };
+      this.emit("userUnfollowed", result);
+      return result;
+    } catch (err) {
+      this.emit("unfollowFailed", { username, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  // ── Bulk follow / unfollow ───────────────────────────────────────────────
+
+  /**
+   * Follow many users with randomized pacing, hourly/daily caps and
+   * rate-limit detection. Emits the usual `userFollowed` / `followFailed`
+   * per user. With `progressFile`, finished users are skipped on the next
+   * run so an interrupted campaign can simply be started again.
+   *
+   * @param {string[]} usernames
+   * @param {object} [options]
+   * @param {number}  [options.minDelay=20000]       – Min wait between users (ms)
+   * @param {number}  [options.maxDelay=60000]       – Max wait between users (ms)
+   * @param {number}  [options.maxPerHour=40]        – Waits when reached
+   * @param {number}  [options.maxPerDay=300]        – Stops when reached
+   * @param {boolean} [options.stopOnRateLimit=true] – Stop when X reports a limit
+   * @param {string}  [options.progressFile]         – JSON file for resumable progress
+   * @returns {Promise<object>}
+   */
+  async followMany(usernames, options = {}) {
+    return this._bulkFollow("follow", usernames, options);
+  }
+
+  /**
+   * Unfollow many users — same pacing, caps and progress handling as
+   * followMany(). Emits `userUnfollowed` / `unfollowFailed` per user.
+   * @param {string[]} usernames
+   * @param {object} [options] – See followMany()
+   * @returns {Promise<object>}
+   */
+  async unfollowMany(usernames, options = {}) {
+    return this._bulkFollow("unfollow", usernames, options);
+  }
+
+  // ── Unfollow non-followers ───────────────────────────────────────────────
+
+  /**
+   * Unfollow everyone the bot account follows who doesn't follow back,
+   * based on the "Follows you" badge in our /following list. Requires the
+   * `username` constructor option. Unfollows go through unfollowMany(), so
+   * its pacing / caps / progressFile options apply.
+   *
+   * @param {object} [options]
+   * @param {boolean}  [options.dryRun=false]    – Only report who would be unfollowed
+   * @param {string[]} [options.whitelist=[]]    – Handles to never unfollow (with or without @)
+   * @param {number}   [options.maxUnfollows=50] – Max users to unfollow in this run
+   * @param {number}   [options.scanLimit=1000]  – Max following entries to read
+   * @returns {Promise<object>}
+   */
+  async cleanupNonFollowers(options = {}) {
+    this._ensureReady();
+    if (!this.username) throw new Error("username option is required for cleanupNonFollowers()");
+
+    const {
+      dryRun = false,
+      whitelist = [],
+      maxUnfollows = 50,
+      scanLimit = 1000,
+      ...bulkOptions
+    } = options;
+
+    const protectedHandles = new Set(whitelist.map((h) => h.replace(/^@/, "").toLowerCase()));
+
+    const following = await this.getFollowing(this.username, scanLimit);
+
+    const nonFollowers = following.users
+      .filter((u) => !u.followsYou)
+      .map((u) => u.handle.replace(/^@/, ""));
+
+    const whitelisted = nonFollowers.filter((h) => protectedHandles.has(h.toLowerCase()));
+    const candidates = nonFollowers
+      .filter((h) => !protectedHandles.has(h.toLowerCase()))
+      .slice(0, maxUnfollows);
+
+    const result = {
+      dryRun,
+      scanned: following.collected,
+      scrollBlocked: following.scrollBlocked,
+      nonFollowers: nonFollowers.length,
+      whitelisted,
+      candidates,
+      unfollowed: [],
+      failed: [],
+      report: null,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (dryRun || candidates.length === 0) return result;
+
+    const report = await this.unfollowMany(candidates, bulkOptions);
+    result.report = report;
+    result.unfollowed = report.results.filter((r) => r.status === "unfollowed").map((r) => r.username);
+    result.failed = report.results
+      .filter((r) => r.status === "failed")
+      .map((r) => ({ username: r.username, error: r.error }));
+    return result;
+  }
+
+  // ── Direct messages ──────────────────────────────────────────────────────
+
+  /**
+   * Send a direct message, opened from the user's profile "Message" button.
+   * @param {string} username – Recipient (with or without @)
+   * @param {string} text     – Message text (max 10000)
+   * @param {object} [options]
+   * @param {string[]} [options.media] – One file path (DMs take a single attachment)
+   * @returns {Promise<{success: boolean, username: string, conversationId: string|null, text: string, timestamp: string}>}
+   */
+  async sendDirectMessage(username, text, options = {}) {
+    this._ensureReady();
+    if (!username) throw new Error("Username is required");
+    if (!text) throw new Error("Message text is required");
+    if (text.length > 10000) throw new Error("Message exceeds 10000 characters");
+
+    const media = options.media || [];
+    if (media.length > 1) throw new Error("Maximum 1 media file allowed in a direct message");
+
+    // Strip @ if provided
+    username = username.replace(/^@/, "");
+
+    try {
+      await this._openConversationWith(username);
+
+      const composer = this.selectors.dmComposer;
+      if (!(await this._waitFor(composer, 10000))) {
+        throw new SelectorNotFoundError("Message composer not found", "dmComposer");
+      }
+
+      if (media.length > 0) {
+        const pathModule = require("path");
+        const fs = require("fs");
+        const abs = pathModule.resolve(media[0]);
+        if (!fs.existsSync(abs)) throw new Error(`File not found: ${abs}`);
+
+        const fileInput = await this.page.$(this.selectors.fileInput);
+        if (!fileInput) throw new SelectorNotFoundError("File input not found", "fileInput");
+        await fileInput.uploadFile(abs);
+        await delay(3000);
+      }
+
+      await this.page.click(composer);
+      await delay(200);
+      await this.page.type(composer, text, { delay: 30 });
+      await delay(500);
+
+      const sent = await this._clickSelector("dmSendButton");
+      if (!sent) throw new SelectorNotFoundError("Send button not found", "dmSendButton");
+      await delay(media.length > 0 ? 5000 : 2000);
+
+      // Verify: the last message entry in the conversation is ours
+      const delivered = await this.page.evaluate((msg, messageSelector) => {
+        const entries = document.querySelectorAll(messageSelector);
+        const last = entries[entries.length - 1];
+        return !!last && last.innerText.includes(msg.slice(0, 20));
+      }, text, this.selectors.dmMessage);
+      if (!delivered) throw new TwitterBotError("Message not found in conversation after sending", "ACTION_NOT_CONFIRMED");
+
+      const match = this.page.url().match(/\/messages\/([\d-]+)/);
+      const result = {
+        success: true,
+        username,
+        conversationId: match ? match[1] : null,
+        text,
+        timestamp: new Date().toISOString(),
+      };
+      this.emit("dmSent", result);
+      return result;
+    } catch (err) {
+      this.emit("dmFailed", { username, text, error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  /**
+   * List DM conversations from /messages (auto-scroll).
+   * @param {object} [options]
+   * @param {number} [options.count=20] – Max conversations to collect
+   * @returns {Promise<{requested: number, collected: number, scrollBlocked: boolean, conversations: object[]}>}
+   */
+  async getInbox(options = {}) {
+    this._ensureReady();
+    const { count = 20 } = options;
+
+    await this.page.goto("https://x.com/messages", {
+      waitUntil: "networkidle2",
+      timeout: this.timeout,
+    });
+    await delay(2000);
+    this._checkSession();
+
+    if (!(await this._waitFor(this.selectors.dmConversation, 10000))) {
+      return { requested: count, collected: 0, scrollBlocked: false, conversations: [] };
+    }
+
+    const scrapeConversations = () =>
+      this.page.evaluate((sel) => {
+        const results = [];
+        for (const el of document.querySelectorAll(sel.dmConversation)) {
+          const c = {
+            conversationId: null,
+            displayName: "",
+            handle: "",
+            lastMessage: "",
+            time: "",
+            unread: false,
+          };
+
+          const idLink = el.querySelector('a[href*="/messages/"]');
+          if (idLink) {
+            const m = idLink.getAttribute("href").match(/\/messages\/([\d-]+)/);
+            if (m) c.conversationId = m[1];
+          }
+
+          const avatar = el.querySelector(sel.userAvatar);
+          if (avatar) c.handle = window.__xbotAvatarHandle(avatar);
+
+          const nameEl = el.querySelector("span span");
+          if (nameEl) c.displayName = nameEl.innerText;
+
+          const timeEl = el.querySelector("time");
+          if (timeEl) c.time = timeEl.getAttribute("datetime") || timeEl.innerText;
+
+          // Preview is the last text block of the cell
+          const blocks = el.querySelectorAll('div[dir="auto"], span[dir="auto"]');
+          if (blocks.length) c.lastMessage = blocks[blocks.length - 1].innerText;
+
+          const label = (el.getAttribute("aria-label") || "") + " " + el.innerText;
+          c.unread = /unread|okunmamış/i.test(label) || !!el.querySelector('[aria-label*="nread"]');
+
+          results.push(c);
+        }
+        return results;
+      }, this.selectors);
+
+    const { items, scrollBlocked } = await this._scrollCollect(
+      scrapeConversations,
+      count,
+      (c) => c.conversationId || `${c.handle}_${c.displayName}`
+    );
+
+    return { requested: count, collected: items.length, scrollBlocked, conversations: items };
+  }
+
+  /**
+   * Read the messages of a conversation, scrolling up for older ones.
+   * @param {string} conversationId – ID from getInbox() / sendDirectMessage(),
+   *   or "@username" for a one-to-one conversation
+   * @param {number} [count=50] – Max messages to collect
+   * @returns {Promise<{conversationId: string|null, requested: number, collected: number, scrollBlocked: boolean, messages: object[]}>}
+   */
+  async getConversation(conversationId, count = 50) {
+    this._ensureReady();
+    if (!conversationId) throw new Error("Conversation ID is required");
+
+    if (conversationId.startsWith("@")) {
+      await this._openConversationWith(conversationId.slice(1));
+    } else {
+      await this.page.goto(`https://x.com/messages/${conversationId}`, {
+        waitUntil: "networkidle2",
+        timeout: this.timeout,
+      });
+      await delay(2000);
+      this._checkSession();
+    }
+
+    if (!(await this._waitFor(this.selectors.dmMessage, 10000))) {
+      throw new TwitterBotError(`Conversation ${conversationId} not found or empty`, "CONVERSATION_NOT_FOUND");
+    }
+
+    const match = this.page.url().match(/\/messages\/([\d-]+)/);
+
+    const scrapeMessages = () =>
+      this.page.evaluate((sel) => {
+        const results = [];
+        for (const entry of document.querySelectorAll(sel.dmMessage)) {
+          const msg = { sender: "", fromMe: false, time: "", text: "" };
+
+          // Received messages carry the sender's avatar; ours are right-aligned
+          const avatar = entry.querySelector(sel.userAvatar);
+          if (avatar) {
+            msg.sender = window.__xbotAvatarHandle(avatar);
+          } else {
+            const rect = entry.getBoundingClientRect();
+            const bubble = entry.querySelector(`${sel.tweetText}, div[dir="auto"]`) || entry;
+            const b = bubble.getBoundingClientRect();
+            msg.fromMe = rect.right - b.right < b.left - rect.left;
+          }
+
+          const textEl = entry.querySelector(sel.tweetText) || entry.querySelector('div[dir="auto"]');
+          msg.text = textEl ? textEl.innerText : entry.innerText;
+
+          const timeEl = entry.querySelector("time");
+          if (timeEl) msg.time = timeEl.getAttribute("datetime") || timeEl.innerText;
+
+          results.push(msg);
+        }
+        return results;
+      }, this.selectors);
+
+    // Older messages load above — scroll the conversation pane up
+    const scrollUp = () =>
+      this.page.evaluate(async (scrollerSelector) => {
+        const box = document.querySelector(scrollerSelector) || document.scrollingElement;
+        const prevTop = box.scrollTop;
+        const prevHeight = box.scrollHeight;
+        box.scrollTop = Math.max(0, prevTop - 800);
+        await new Promise((resolve) => setTimeout(resolve, 1500));
+        return box.scrollTop !== prevTop || box.scrollHeight !== prevHeight;
+      }, this.selectors.dmScroller);
+
+    const { items, scrollBlocked } = await this._scrollCollect(
+      scrapeMessages,
+      count,
+      (m) => `${m.time}_${m.fromMe}_${m.sender}_${m.text}`,
+      scrollUp
+    );
+
+    // Oldest first when timestamps are available
+    if (items.every((m) => m.time && !isNaN(Date.parse(m.time)))) {
+      items.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+    }
+
+    return {
+      conversationId: match ? match[1] : conversationId,
+      requested: count,
+      collected: items.length,
+      scrollBlocked,
+      messages: items,
+    };
+  }
+
+  // ── Notifications & mentions ─────────────────────────────────────────────
+
+  /**
+   * Scrape /notifications into typed entries (auto-scroll).
+   * @param {object} [options]
+   * @param {'all'|'mentions'|'verified'} [options.tab='all']
+   * @param {number} [options.count=20] – Max entries to collect
+   * @returns {Promise<{tab: string, requested: number, collected: number, scrollBlocked: boolean, notifications: object[]}>}
+   */
+  async getNotifications(options = {}) {
+    this._ensureReady();
+
+    const { tab = "all", count = 20 } = options;
+
+    const TABS = { all: "", mentions: "/mentions", verified: "/verified" };
+    if (TABS[tab] === undefined) throw new Error(`Unknown notifications tab: ${tab}`);
+
+    await this.page.goto(`https://x.com/notifications${TABS[tab]}`, {
+      waitUntil: "networkidle2",
+      timeout: this.timeout,
+    });
+    await delay(2000);
+    this._checkSession();
+
+    if (!(await this._waitFor(`${this.selectors.cell} article`, 10000))) {
+      return { tab, requested: count, collected: 0, scrollBlocked: false, notifications: [] };
+    }
+
+    const { items, scrollBlocked } = await this._scrollCollect(
+      () => this.page.evaluate(_parseNotifications, this.selectors),
+      count,
+      (n) => `${n.type}_${n.tweetId}_${n.actors.join(",")}`
+    );
+
+    return { tab, requested: count, collected: items.length, scrollBlocked, notifications: items };
+  }
+
+  /**
+   * Poll the mentions tab and emit `mention` for every mention / reply newer
+   * than the last one seen. The newest seen tweet ID is saved to
+   * `stateFile`, so a restarted watcher continues where it left off.
+   *
+   * @param {object} [options]
+   * @param {number}  [options.interval=60000] – Poll interval (ms)
+   * @param {string}  [options.stateFile="./mentions-state.json"]
+   * @param {boolean} [options.emitExisting=false] – On the very first run, emit
+   *   the mentions already there instead of only marking them as seen
+   * @returns {{stop: () => void}}
+   */
+  watchMentions(options = {}) {
+    this._ensureReady();
+    if (this._mentionWatcher) throw new Error("watchMentions() is already running");
+
+    const fs = require("fs");
+    const {
+      interval = 60000,
+      stateFile = "mentions-state.json",
+      emitExisting = false,
+    } = options;
+    const statePath = require("path").resolve(stateFile);
+
+    let lastId = null;
+    if (fs.existsSync(statePath)) {
+      lastId = JSON.parse(fs.readFileSync(statePath, "utf8")).lastMentionId || null;
+    }
+    let firstRun = lastId === null;
+
+    const poll = async () => {
+      if (this._backgroundBusy || !this.isReady) return;
+      this._backgroundBusy = true;
+      try {
+        const { notifications } = await this.getNotifications({ tab: "mentions", count: 20 });
+
+        // Newest first on the page — emit oldest first
+        const fresh = notifications
+          .filter((n) => n.tweetId && (lastId === null || BigInt(n.tweetId) > BigInt(lastId)))
+          .sort((a, b) => (BigInt(a.tweetId) < BigInt(b.tweetId) ? -1 : 1));
+
+        // Only the first successful poll's mentions count as "existing" —
+        // even when it found none
+        const existing = firstRun && !emitExisting;
+        firstRun = false;
+        if (fresh.length === 0) return;
+
+        if (!existing) {
+          for (const n of fresh) this.emit("mention", { ...n, timestamp: new Date().toISOString() });
+        }
+
+        lastId = fresh[fresh.length - 1].tweetId;
+        fs.writeFileSync(statePath, JSON.stringify({ lastMentionId: lastId }, null, 2));
+      } catch (err) {
+        this._backgroundError("mentions", err);
+      } finally {
+        this._backgroundBusy = false;
+      }
+    };
+
+    const timer = setInterval(poll, interval);
+    poll();
+
+    this._mentionWatcher = {
+      stop: () => {
+        clearInterval(timer);
+        this._mentionWatcher = null;
+      },
+    };
+    return this._mentionWatcher;
+  }
+
+  // ── Search & like tweets ─────────────────────────────────────────────────
+
+  /**
+   * Search tweets (Latest tab) and like up to `count` of them, scrolling
+   * until enough matching tweets were liked or X stops loading more.
+   * Filters are applied as search operators where X supports them and
+   * re-checked on each rendered tweet.
+   *
+   * @param {string} query
+   * @param {number} [count=5] – Number of tweets to like
+   * @param {object} [options]
+   * @param {number}   [options.minLikes]         – Skip tweets with fewer likes
+   * @param {boolean}  [options.excludeReplies]   – Skip replies
+   * @param {boolean}  [options.excludeRetweets]  – Skip retweets
+   * @param {string}   [options.lang]             – Only tweets in this language (e.g. "en")
+   * @param {string[]} [options.excludeHandles]   – Handles to never like (with or without @)
+   * @param {boolean}  [options.skipOwn=true]     – Skip tweets posted by `username`
+   * @returns {Promise<{query: string, requested: number, liked: number, scrollBlocked: boolean, tweets: object[], skipped: object[]}>}
+   */
+  async searchAndLike(query, count = 5, options = {}) {
+    this._ensureReady();
+    if (!query) throw new Error("Search query is required");
+
+    const {
+      minLikes = 0,
+      excludeReplies = false,
+      excludeRetweets = false,
+      lang = null,
+      excludeHandles = [],
+      skipOwn = true,
+    } = options;
+
+    const excluded = new Set(excludeHandles.map((h) => h.replace(/^@/, "").toLowerCase()));
+    const ownHandle = this.username.replace(/^@/, "").toLowerCase();
+
+    let fullQuery = query;
+    if (excludeReplies) fullQuery += " -filter:replies";
+    if (excludeRetweets) fullQuery += " -filter:nativeretweets";
+    if (lang) fullQuery += ` lang:${lang}`;
+    if (minLikes > 0) fullQuery += ` min_faves:${minLikes}`;
+
+    await this.page.goto(
+      `https://x.com/search?q=${encodeURIComponent(fullQuery)}&src=typed_query&f=live`,
+      { waitUntil: "networkidle2", timeout: this.timeout }
+    );
+    await delay(1000);
+    this._checkSession();
+
+    const seen = new Set(); // tweetId (dedup)
+    const tweets = [];
+    const skipped = [];
+    let scrollBlocked = false;
+    let noNewDataRetries = 0;
+    const MAX_RETRIES = 5;
+
+    const scrapeVisibleTweets = async () =>
+      (await this.page.evaluate(_parseTweetArticles, this.selectors)).filter((t) => t.tweetId);
+
+    const skipReason = (t) => {
+      const handle = t.handle.replace(/^@/, "").toLowerCase();
+      if (t.isLiked) return "already_liked";
+      if (skipOwn && ownHandle && handle === ownHandle) return "own_tweet";
+      if (excluded.has(handle)) return "excluded_handle";
+      if (excludeReplies && t.isReply) return "reply";
+      if (excludeRetweets && t.isRetweet) return "retweet";
+      if (lang && t.lang && t.lang !== lang) return "language";
+      if (minLikes > 0 && t.likes < minLikes) return "min_likes";
+      return null;
+    };
+
+    // ── Scroll loop ──────────────────────────────────────────────────
+    while (tweets.length < count) {
+      const visible = await scrapeVisibleTweets();
+
+      let newFound = 0;
+      for (const t of visible) {
+        if (seen.has(t.tweetId)) continue;
+        seen.add(t.tweetId);
+        newFound++;
+
+        const reason = skipReason(t);
+        if (reason) {
+          skipped.push({ tweetId: t.tweetId, handle: t.handle, text: t.text, reason });
+          continue;
+        }
+
+        const liked = await this.page.evaluate((id, sel) => {
+          for (const article of document.querySelectorAll(sel.tweet)) {
+            if (!article.querySelector(`a[href*="/status/${id}"] time`)) continue;
+            const btn = article.querySelector(sel.like);
+            if (btn) {
+              btn.click();
+              return true;
+            }
+          }
+          return false;
+        }, t.tweetId, this.selectors);
+
+        if (!liked) {
+          skipped.push({ tweetId: t.tweetId, handle: t.handle, text: t.text, reason: "like_failed" });
+          continue;
+        }
+
+        tweets.push({ tweetId: t.tweetId, handle: t.handle, text: t.text });
+        await delay(1000 + Math.random() * 1000);
+        if (tweets.length >= count) break;
+      }
+
+      if (tweets.length >= count) break;
+
+      if (newFound === 0) {
+        noNewDataRetries++;
+        if (noNewDataRetries >= MAX_RETRIES) {
+          scrollBlocked = true;
+          break;
+        }
+      } else {
+        noNewDataRetries = 0;
+      }
+
+      // Scroll down
+      const prevHeight = await this.page.evaluate(() => document.body.scrollHeight);
+      await this.page.evaluate(() => window.scrollBy(0, 800));
+      await delay(1500);
+      const newHeight = await this.page.evaluate(() => document.body.scrollHeight);
+
+      // Detect if scroll is physically blocked (page height didn't change)
+      if (newHeight === prevHeight) {
+        noNewDataRetries++;
+        if (noNewDataRetries >= MAX_RETRIES) {
+          scrollBlocked = true;
+          break;
+        }
+        await delay(1000);
+      }
+    }
+
+    return {
+      query,
+      requested: count,
+      liked: tweets.length,
+      scrollBlocked,
+      tweets,
+      skipped,
+    };
+  }
+
+  // ── Search tweets (read-only) ─────────────────────────────────────────────
+
+  /**
+   * Scrape search results without interacting with them.
+   *
+   * @param {string} query
+   * @param {object} [options]
+   * @param {'top'|'latest'|'people'|'media'} [options.tab='top']
+   * @param {number}      [options.count=20]   – Max results to collect
+   * @param {string|Date} [options.since]      – Only tweets since this day (YYYY-MM-DD)
+   * @param {string|Date} [options.until]      – Only tweets before this day (YYYY-MM-DD)
+   * @param {string}      [options.from]       – Only tweets from this handle
+   * @param {number}      [options.minFaves]   – Only tweets with at least this many likes
+   * @returns {Promise<object>} – `tweets` for top/latest/media, `users` for people
+   */
+  async searchTweets(query, options = {}) {
+    this._ensureReady();
+    if (!query) throw new Error("Search query is required");
+
+    const { tab = "top", count = 20, since, until, from, minFaves } = options;
+
+    const TABS = { top: "top", latest: "live", people: "user", media: "media" };
+    if (!TABS[tab]) throw new Error(`Unknown search tab: ${tab}`);
+
+    const day = (d) => (d instanceof Date ? d.toISOString().slice(0, 10) : String(d));
+
+    let fullQuery = query;
+    if (from) fullQuery += ` from:${from.replace(/^@/, "")}`;
+    if (since) fullQuery += ` since:${day(since)}`;
+    if (until) fullQuery += ` until:${day(until)}`;
+    if (minFaves) fullQuery += ` min_faves:${minFaves}`;
+
+    const url = `https://x.com/search?q=${encodeURIComponent(fullQuery)}&src=typed_query&f=${TABS[tab]}`;
+
+    await this.page.goto(url, { waitUntil: "networkidle2", timeout: this.timeout });
+    await delay(1500);
+    this._checkSession();
+
+    if (tab === "people") {
+      const { items, scrollBlocked } = await this._scrollCollect(
+        () => this.page.evaluate(_parseUserCells, this.selectors),
+        count,
+        (u) => u.handle
+      );
+      return { query: fullQuery, tab, url, requested: count, collected: items.length, scrollBlocked, users: items };
+    }
+
+    const { items, scrollBlocked } = await this._scrollCollect(
+      async () => (await this.page.evaluate(_parseTweetArticles, this.selectors)).filter((t) => t.tweetId),
+      count,
+      (t) => t.tweetId
+    );
+    return { query: fullQuery, tab, url, requested: count, collected: items.length, scrollBlocked, tweets: items };
+  }
+
+  // ── Edit Profile (──────────────────────────────────────────────────
+
+  /**
+   * Edit the authenticated user’s profile via https://x.com/settings/profile.
+   *
+   * All fields on the page:
+   *   • header      – 1st  fileInput   (banner image)
+   *   • avatar      – 2nd  fileInput   (profile picture)
+   *   • displayName – input[name="displayName"]  (max 50)
+   *   • bio         – textarea[name="description"] (max 160)
+   *   • location    – input[name="location"]     (max 30)
+   *   • website     – input[name="url"]           (max 100)
+   *   • Save        – data-testid="Profile_Save_Button"
+   *
+   * Only the provided fields are changed; omitted ones are left untouched.
+   *
+   * @param {object}  options
+   * @param {string}  [options.avatar]      – Path to profile-picture image
+   * @param {string}  [options.header]      – Path to header / banner image
+   * @param {string}  [options.displayName] – Display name (max 50)
+   * @param {string}  [options.bio]         – Bio / description text (max 160)
+   * @param {string}  [options.location]    – Location text (max 30)
+   * @param {string}  [options.website]     – Website URL (max 100)
+   * @param {string|null} [options.pinnedTweet] – Tweet ID to pin after saving; null unpins
+   * @returns {Promise<object>} – With `pinnedTweet`, includes `pinnedTweetId` as read back from the profile page
+   */
+  async setupProfile(options = {}) {
+    this._ensureReady();
+
+    const { avatar, header, bio, displayName, location, website, pinnedTweet } = options;
+    const pathModule = require("path");
+    const fs = require("fs");
+
+    // Validate image paths up-front
+    for (const [label, filePath] of [["avatar", avatar], ["header", header]]) {
+      if (filePath) {
+        const abs = pathModule.isAbsolute(filePath) ? filePath : pathModule.resolve(filePath);
+        if (!fs.existsSync(abs)) throw new Error(`${label} file not found: ${abs}`);
+      }
+    }
+
+    try {
+      await this.page.goto("https://x.com/settings/profile", {
+        waitUntil: "networkidle2",
+        timeout: this.timeout,
+      });
+      await delay(2000);
+      this._checkSession();
+
+      // Wait for the save button to confirm page loaded
+      const pageReady = await this._waitFor(this.selectors.profileSaveButton, 10000);
+      if (!pageReady) throw new TwitterBotError("Profile settings page did not load", "PAGE_NOT_LOADED");
+
+      const result = {
+        avatar: false,
+        header: false,
+        displayName: false,
+        bio: false,
+        location: false,
+        website: false,
+        saved: false,
+        pinned: false,
+        pinnedTweetId: null,
+        timestamp: new Date().toISOString(),
+      };
+
+      // ── Header (banner) image ── 1st fileInput on the page ────
+      if (header) {
+        const fileInputs = await this.page.$$(this.selectors.fileInput);
+        if (fileInputs.length >= 1) {
+          const abs = pathModule.isAbsolute(header) ? header : pathModule.resolve(header);
+          await fileInputs[0].uploadFile(abs);
+          await delay(3000);
+          // Crop dialog
+          await this._clickSelector("mediaApplyButton");
+          await delay(1500);
+          result.header = true;
+        }
+      }
+
+      // ── Avatar (profile picture) ── 2nd fileInput on the page ──
+      if (avatar) {
+        const fileInputs = await this.page.$$(this.selectors.fileInput);
+        if (fileInputs.length >= 2) {
+          const abs = pathModule.isAbsolute(avatar) ? avatar : pathModule.resolve(avatar);
+          await fileInputs[1].uploadFile(abs);
+          await delay(3000);
+          // Crop dialog
+          await this._clickSelector("mediaApplyButton");
+          await delay(1500);
+          result.avatar = true;
+        }
+      }
+
+      // ── Display Name ────────────────────────────────────────
+      if (displayName !== undefined) {
+        const ok = await this._fillProfileField('input[name="displayName"]', displayName);
+        if (ok) result.displayName = true;
+      }
+
+      // ── Bio ─────────────────────────────────────────────────
+      if (bio !== undefined) {
+        const ok = await this._fillProfileField('textarea[name="description"]', bio);
+        if (ok) result.bio = true;
+      }
+
+      // ── Location ────────────────────────────────────────────
+      if (location !== undefined) {
+        const ok = await this._fillProfileField('input[name="location"]', location);
+        if (ok) result.location = true;
+      }
+
+      // ── Website ─────────────────────────────────────────────
+      if (website !== undefined) {
+        const ok = await this._fillProfileField('input[name="url"]', website);
+        if (ok) result.website = true;
+      }
+
+      // ── Save ────────────────────────────────────────────────
+      await this._clickSelector("profileSaveButton");
+      await delay(3000);
+      result.saved = true;
+
+      // ── Pinned tweet ────────────────────────────────────────
+      if (pinnedTweet !== undefined) {
+        if (pinnedTweet) await this.pinTweet(pinnedTweet);
+        else await this.unpinTweet();
+        result.pinned = true;
+
+        // Read back what the profile page actually shows — best effort,
+        // the profile is already saved at this point
+        try {
+          result.pinnedTweetId = await this.getPinnedTweetId();
+        } catch { /* left null — the read-back failing does not undo the save */ }
+      }
+
+      this.emit("profileSetup", result);
+      return result;
+    } catch (err) {
+      this.emit("profileSetupFailed", { error: err.message, code: err.code, cause: err });
+      throw err;
+    }
+  }
+
+  // ── Self test ───────────────────────────────────────────────
+
+  /**
+   * Visit the main pages and check that the selector registry still matches
+   * X's markup. Run it before a campaign — a missing entry here means the
+   * actions using it will fail. Override broken entries with the `selectors`
+   * constructor option.
+   * @returns {Promise<{ok: boolean, checked: number, missing: object[], pages: object[], timestamp: string}>}
+   */
+  async selfTest() {
+    this._ensureReady();
+
+    const pages = [];
+    let checked = 0;
+
+    for (const spec of SELF_TEST_PAGES) {
+      const groups = spec.selectors.map((entry) => [].concat(entry));
+      const result = { page: spec.page, url: null, ok: true, missing: [], error: null };
+      checked += groups.length;
+
+      try {
+        const path = spec.path || `/${await this._ownUsername()}`;
+        result.url = `https://x.com${path}`;
+        await this.page.goto(result.url, { waitUntil: "networkidle2", timeout: this.timeout });
+        this._checkSession();
+        // The first selector is the page's anchor — give it time to render
+        await this._waitFor(this.selectors[groups[0][0]], 10000);
+        await delay(2000);
+
+        const found = await this.page.evaluate(
+          (cssGroups) => cssGroups.map((group) => group.some((css) => !!document.querySelector(css))),
+          groups.map((group) => group.map((name) => this.selectors[name]))
+        );
+        groups.forEach((group, i) => {
+          if (found[i]) return;
+          for (const name of group) result.missing.push({ selector: name, css: this.selectors[name] });
+        });
+      } catch (err) {
+        // Every other page would land on the login page too
+        if (err instanceof SessionExpiredError) throw err;
+        result.error = err.message;
+      }
+
+      if (spec.page === "compose") await this._dismissCompose();
+      result.ok = !result.error && result.missing.length === 0;
+      pages.push(result);
+    }
+
+    const missing = pages.flatMap((p) => p.missing.map((m) => ({ page: p.page, ...m })));
+    return {
+      ok: pages.every((p) => p.ok),
+      checked,
+      missing,
+      pages,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  //  SCHEDULER
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Schedule a tweet. Jobs live in memory, or — with the `scheduleFile`
+   * option — are saved there and picked up again by init() after a
+   * restart. Posting happens while the bot is ready;
+   * failed posts are retried with exponential backoff (1, 2, 4, … min).
+   *
+   * @param {string} text – Tweet text (max 280)
+   * @param {object} options
+   * @param {Date|string|number} options.at  – When to post
+   * @param {Array<string|{path: string, altText?: string}>} [options.media] – Up to 4 images, or 1 GIF / video
+   * @param {number}   [options.maxRetries=3]
+   * @returns {object} – The scheduled job
+   */
+  schedule(text, options = {}) {
+    if (!text) throw new Error("Tweet text is required");
+    if (text.length > 280) throw new Error("Tweet exceeds 280 characters");
+
+    const media = this._normalizeMedia(options.media);
+
+    const at = new Date(options.at);
+    if (options.at === undefined || isNaN(at.getTime())) {
+      throw new Error("A valid 'at' date is required");
+    }
+
+    const job = {
+      id: require("crypto").randomUUID(),
+      text,
+      // Paths are already absolute — the process may be restarted from another directory
+      media: media.map(({ path, altText }) => (altText ? { path, altText } : path)),
+      at: at.toISOString(),
+      status: "pending",
+      attempts: 0,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : 3,
+      nextAttemptAt: null,
+      lastError: null,
+      postId: null,
+      createdAt: new Date().toISOString(),
+      postedAt: null,
+    };
+
+    this._loadSchedule().push(job);
+    this._saveSchedule();
+    this._startScheduler();
+    return { ...job };
+  }
+
+  /**
+   * List scheduled jobs, soonest first.
+   * @param {object} [options]
+   * @param {'pending'|'posted'|'failed'|'cancelled'} [options.status] – Filter by status
+   * @returns {object[]}
+   */
+  listScheduled(options = {}) {
+    return this._loadSchedule()
+      .filter((job) => !options.status || job.status === options.status)
+      .sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+      .map((job) => ({ ...job }));
+  }
+
+  /**
+   * Cancel a pending scheduled job.
+   * @param {string} id
+   * @returns {object} – The cancelled job
+   */
+  cancelScheduled(id) {
+    const job = this._loadSchedule().find((j) => j.id === id);
+    if (!job) throw new Error(`Scheduled job not found: ${id}`);
+    if (job.status !== "pending") {
+      throw new Error(`Scheduled job ${id} is already ${job.status}`);
+    }
+
+    job.status = "cancelled";
+    this._saveSchedule();
+    return { ...job };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  //  AUTO-REPLY RULES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Register a handler for new replies / mentions whose text matches.
+   * The handler may return a reply text, an actions object
+   * ({ reply, like, follow }) or nothing (it handled things itself).
+   * @param {string|RegExp} pattern – Strings match case-insensitively
+   * @param {(reply: object) => any} handler
+   * @returns {string} – Rule ID
+   */
+  onKeyword(pattern, handler) {
+    if (!pattern) throw new Error("Keyword pattern is required");
+    if (typeof handler !== "function") throw new Error("Handler must be a function");
+    return this.addRule({ match: { text: pattern }, handler });
+  }
+
+  /**
+   * Register a declarative rule. Rules are checked in order; the first
+   * matching rule handles a reply.
+   *
+   * @param {object} rule
+   * @param {object} [rule.match]
+   * @param {string|RegExp}          [rule.match.text]   – Text contains / matches
+   * @param {string|string[]|RegExp} [rule.match.handle] – Author handle(s)
+   * @param {string|string[]}        [rule.match.lang]   – Tweet language(s)
+   * @param {object} [rule.actions]
+   * @param {string}  [rule.actions.reply]  – Reply template: {handle}, {username}, {text}
+   * @param {boolean} [rule.actions.like]
+   * @param {boolean} [rule.actions.follow]
+   * @param {Function} [rule.handler] – Instead of / in addition to actions, see onKeyword()
+   * @param {string}   [rule.name]
+   * @returns {string} – Rule ID
+   */
+  addRule(rule = {}) {
+    if (!rule.actions && !rule.handler) throw new Error("Rule needs actions or a handler");
+    const id = rule.name || `rule_${this._rules.length + 1}`;
+    this._rules.push({ ...rule, id, match: rule.match || {} });
+    return id;
+  }
+
+  /** Remove all registered rules and keyword handlers. */
+  clearRules() {
+    this._rules = [];
+  }
+
+  /**
+   * One pass of the rules engine: read replies to our recent tweets (and
+   * mentions), run the first matching rule for each one not handled before.
+   * Handled IDs are saved to `stateFile`, so nothing is answered twice. In
+   * dry-run mode intended actions are emitted as `ruleDryRun` and returned,
+   * not performed (handlers are still called) and nothing is marked as handled.
+   *
+   * @param {object} [options]
+   * @param {string[]} [options.tweetIds]           – Tweets to read replies of; default: our latest tweets
+   * @param {number}   [options.recentTweets=5]      – How many of our latest tweets to scan
+   * @param {number}   [options.commentsPerTweet=20]
+   * @param {boolean}  [options.includeMentions=true]
+   * @param {boolean}  [options.dryRun=false]
+   * @param {string}   [options.stateFile="./rules-state.json"]
+   * @returns {Promise<object>}
+   */
+  async runRules(options = {}) {
+    this._ensureReady();
+    if (this._rules.length === 0) throw new Error("No rules registered");
+
+    const {
+      recentTweets = 5,
+      commentsPerTweet = 20,
+      includeMentions = true,
+      dryRun = false,
+      stateFile = "rules-state.json",
+    } = options;
+
+    const fs = require("fs");
+    const statePath = require("path").resolve(stateFile);
+    const state = fs.existsSync(statePath)
+      ? JSON.parse(fs.readFileSync(statePath, "utf8"))
+      : { handled: {} };
+
+    const own = (await this._ownUsername()).replace(/^@/, "").toLowerCase();
+
+    // ── Collect candidates ──────────────────────────────────
+    let tweetIds = options.tweetIds;
+    if (!tweetIds) {
+      const timeline = await this.getUserTweets(own, recentTweets, { includeRetweets: false });
+      tweetIds = timeline.tweets.map((t) => t.tweetId);
+    }
+
+    const candidates = new Map(); // tweetId → reply
+    for (const id of tweetIds) {
+      const { comments } = await this.getTweetComments(id, commentsPerTweet);
+      for (const c of comments) {
+        if (c.tweetId) candidates.set(c.tweetId, { ...c, source: "comment", inReplyTo: id });
+      }
+    }
+    if (includeMentions) {
+      const { notifications } = await this.getNotifications({ tab: "mentions", count: 20 });
+      for (const n of notifications) {
+        if (!n.tweetId || candidates.has(n.tweetId)) continue;
+        candidates.set(n.tweetId, {
+          tweetId: n.tweetId,
+          username: "",
+          handle: n.actors[0] || "",
+          text: n.text,
+          time: n.time,
+          lang: "",
+          source: "mention",
+          inReplyTo: null,
+        });
+      }
+    }
+
+    // ── Evaluate ────────────────────────────────────────────
+    const results = [];
+    const fresh = Array.from(candidates.values())
+      .filter((r) => !state.handled[r.tweetId])
+      .filter((r) => r.handle.replace(/^@/, "").toLowerCase() !== own) // never answer ourselves
+      .sort((a, b) => (BigInt(a.tweetId) < BigInt(b.tweetId) ? -1 : 1));
+
+    for (const reply of fresh) {
+      const rule = this._rules.find((r) => this._ruleMatches(r.match, reply));
+      if (!rule) continue;
+
+      let actions = { ...(rule.actions || {}) };
+      if (rule.handler) {
+        const out = await rule.handler(reply);
+        if (typeof out === "string") actions.reply = out;
+        else if (out && typeof out === "object") actions = { ...actions, ...out };
+      }
+
+      const performed = await this._runRuleActions(reply, actions, dryRun);
+      const entry = { tweetId: reply.tweetId, handle: reply.handle, text: reply.text, rule: rule.id, actions: performed };
+      results.push(entry);
+      this.emit("ruleMatched", { ...entry, dryRun });
+
+      if (dryRun) {
+        this.emit("ruleDryRun", { rule: rule.id, reply, performed });
+      } else {
+        state.handled[reply.tweetId] = new Date().toISOString();
+        fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+      }
+    }
+
+    return {
+      dryRun,
+      scanned: candidates.size,
+      fresh: fresh.length,
+      matched: results.length,
+      results,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Run runRules() every `interval` ms until stopped (or close()).
+   * @param {object} [options] – runRules() options plus `interval` (default 300000)
+   * @returns {{stop: () => void}}
+   */
+  watchRules(options = {}) {
+    this._ensureReady();
+    if (this._rulesWatcher) throw new Error("watchRules() is already running");
+
+    const { interval = 300000, ...runOptions } = options;
+
+    const tick = async () => {
+      if (this._backgroundBusy || !this.isReady) return;
+      this._backgroundBusy = true;
+      try {
+        await this.runRules(runOptions);
+      } catch (err) {
+        this._backgroundError("rules", err);
+      } finally {
+        this._backgroundBusy = false;
+      }
+    };
+
+    const timer = setInterval(tick, interval);
+    tick();
+
+    this._rulesWatcher = {
+      stop: () => {
+        clearInterval(timer);
+        this._rulesWatcher = null;
+      },
+    };
+    return this._rulesWatcher;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  //  LIFECYCLE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async close() {
+    this._stopScheduler();
+    if (this._mentionWatcher) this._mentionWatcher.stop();
+    if (this._rulesWatcher) this._rulesWatcher.stop();
+    if (this._statsTracker) this._statsTracker.stop();
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+      this.isReady = false;
+      this.emit("closed");
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  //  INTERNALS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  _ensureReady() {
+    if (!this.isReady) {
+      throw new NotReadyError();
+    }
+  }
+
+  /**
+   * Run a page operation once every earlier one has settled. The methods in
+   * PAGE_METHODS go through here, so a background tick can't navigate
+   * this.page away in the middle of a foreground postTweet(), followUser(), …
+   * Calls made from inside a running operation (setupProfile() → pinTweet())
+   * run directly.
+   * @param {() => Promise<any>} fn
+   * @returns {Promise<any>}
+   */
+  _withPage(fn) {
+    if (this._pageLock.getStore()) return fn();
+    const run = this._pageQueue.then(() => this._pageLock.run(true, fn));
+    this._pageQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Listeners are caller code — run them outside the page lock, so a bot
+   * call made from a `tweetPosted` / `ruleMatched` / … listener queues
+   * behind the running operation instead of racing it.
+   */
+  emit(event, ...args) {
+    if (!this._pageLock) return super.emit(event, ...args);
+    return this._pageLock.exit(() => super.emit(event, ...args));
+  }
+
+  /**
+   * Throw SessionExpiredError when the last navigation landed on X's login
+   * flow. Marks the bot not ready and emits `loginRequired`, as init() does.
+   */
+  _checkSession() {
+    const url = this.page.url();
+    if (url.includes("/login") || url.includes("/i/flow/login")) {
+      this.isReady = false;
+      this.emit("loginRequired");
+      throw new SessionExpiredError();
+    }
+  }
+
+  _tweetUrl(tweetId) {
+    if (this.username) {
+      return `https://x.com/${this.username}/status/${tweetId}`;
+    }
+    return `https://x.com/i/status/${tweetId}`;
+  }
+
+  async _waitFor(selector, timeout = 10000) {
+    try {
+      await this.page.waitForSelector(selector, { timeout });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Open the composer, type the text, attach media, post and verify.
+   * With `replyTo` / `quoteOf`, the composer is opened from that tweet's
+   * reply button / repost menu instead of /compose/post. Shared by
+   * postTweet(), postThread(), replyToTweet() and quoteTweet().
+   * @param {string} text
+   * @param {object} [options]
+   * @param {object[]} [options.media]  – Entries from _normalizeMedia()
+   * @param {string}   [options.replyTo] – Tweet ID to reply to
+   * @param {string}   [options.quoteOf] – Tweet ID to quote
+   * @param {{choices: string[], durationMinutes?: number}} [options.poll] – Validated by postTweet()
+   * @returns {Promise<{postId: string|null}>}
+   */
+  async _composeTweet(text, { media = [], replyTo = null, quoteOf = null, poll = null } = {}) {
+    // Handle "Leave site?" / beforeunload dialogs automatically
+    // Also handles media upload error dialogs
+    let dialogHandled = false;
+    const dialogHandler = async (dialog) => {
+      if (dialogHandled) return;
+      dialogHandled = true;
+      await dialog.accept();
+    };
+    this.page.on("dialog", dialogHandler);
+
+    try {
+      if (replyTo) {
+        const article = await this._openTweet(replyTo);
+        const btn = await article.$(this.selectors.reply);
+        if (!btn) throw new SelectorNotFoundError(`Reply button not found for tweet ${replyTo}`, "reply");
+        await btn.evaluate((el) => el.click());
+      } else if (quoteOf) {
+        const article = await this._openTweet(quoteOf);
+        const btn =
+          (await article.$(this.selectors.retweet)) ||
+          (await article.$(this.selectors.unretweet));
+        if (!btn) throw new SelectorNotFoundError(`Repost button not found for tweet ${quoteOf}`, "retweet");
+        await btn.evaluate((el) => el.click());
+        await delay(1000);
+
+        // Repost menu → "Quote" is a link to the composer
+        const opened = await this.page.evaluate(() => {
+          const menu = document.querySelector('[role="menu"]');
+          const item = menu ? menu.querySelector('a[href*="/compose/"]') : null;
+          if (item) {
+            item.click();
+            return true;
+          }
+          return false;
+        });
+        if (!opened) throw new TwitterBotError(`Quote option not found for tweet ${quoteOf}`, "MENU_ITEM_NOT_FOUND");
+      } else {
+        await this.page.goto("https://x.com/compose/post", {
+          waitUntil: "networkidle2",
+          timeout: this.timeout,
+        });
+      }
+      await delay(1000);
+      this._checkSession();
+
+      // Replies and quotes open the composer as a modal on a /status/ page,
+      // which also has X's inline reply composer earlier in the document —
+      // every lookup below stays inside the modal
+      const scope = replyTo || quoteOf ? '[role="dialog"]' : "body";
+      const root = (await this._waitFor(scope, 10000)) ? await this.page.$(scope) : null;
+      const findInput = (selector, timeout) =>
+        root ? root.waitForSelector(selector, { timeout }).catch(() => null) : null;
+      const input =
+        (await findInput(this.selectors.tweetTextarea, 10000)) ||
+        (await findInput('div[role="textbox"]', 5000));
+      if (!input) throw new SelectorNotFoundError("Tweet textarea not found", "tweetTextarea");
+
+      await input.click();
+      await delay(200);
+      await input.type(text, { delay: 30 });
+      await delay(500);
+
+      if (poll) await this._fillPoll(poll);
+
+      // Upload media one file at a time, waiting for each to finish processing
+      if (media.length > 0) {
+        const fileInput = await root.$(this.selectors.fileInput);
+        if (!fileInput) throw new SelectorNotFoundError("File input not found", "fileInput");
+
+        for (let i = 0; i < media.length; i++) {
+          await fileInput.uploadFile(media[i].path);
+          // X reports rejected files with a dialog — dialogHandled flips to true
+          await this._waitForUpload(media[i], i, media.length, () => dialogHandled, scope);
+          if (media[i].altText) await this._setAltText(i, media[i].altText, scope);
+        }
+      }
+
+      const clicked = await root.evaluate((el, sel) => {
+        const btn =
+          el.querySelector(sel.tweetButton) ||
+          el.querySelector(sel.tweetButtonInline);
+        if (btn) {
+          btn.click();
+          return true;
+        }
+        return false;
+      }, this.selectors);
+
+      if (!clicked) throw new SelectorNotFoundError("Post button not found", "tweetButton");
+
+      // Wait for compose to close (URL changes via SPA, no real navigation)
+      // Posts with media take longer (videos the longest) — poll until /compose disappears or timeout
+      const hasMedia = media.length > 0;
+      const postTimeout = media.some((m) => m.kind === "video") ? 60000 : hasMedia ? 30000 : 8000;
+      const pollInterval = 500;
+      let elapsed = 0;
+      let stillOnCompose = true;
+      while (elapsed < postTimeout) {
+        await delay(pollInterval);
+        elapsed += pollInterval;
+        stillOnCompose = await this.page.evaluate((textareaSelector) =>
+          window.location.href.includes("/compose") ||
+          !!document.querySelector(`[role="dialog"] ${textareaSelector}`),
+          this.selectors.tweetTextarea
+        );
+        if (!stillOnCompose) break;
+      }
+
+      if (stillOnCompose) {
+        // Still on compose = tweet failed. Read toast for error reason.
+        const toastText = await this.page.evaluate(() => {
+          const toast = document.querySelector('[role="status"]');
+          return toast ? toast.innerText.trim() : "";
+        });
+        this._checkSession();
+        await this._dismissCompose();
+        throw _postToastError(toastText, media.length > 0);
+      }
+
+      // A quote is sent from the quoted tweet's page, where it is not
+      // rendered — look for it on our own profile (or home) instead
+      if (quoteOf) {
+        await this.page.goto(this.username ? `https://x.com/${this.username}` : "https://x.com/home", {
+          waitUntil: "networkidle2",
+          timeout: this.timeout,
+        });
+      }
+
+      // URL changed → we're on home/feed (or back on the parent tweet for
+      // replies). Find our tweet near the top.
+      await delay(hasMedia ? 5000 : 3000);
+
+      const verification = await this.page.evaluate((tweetText, parentId, sel) => {
+        // Helper to remove emojis and normalize text
+        const normalizeText = (str) => {
+          return str
+            .replace(/[\u{1F600}-\u{1F64F}]/gu, '') // Emoticons
+            .replace(/[\u{1F300}-\u{1F5FF}]/gu, '') // Misc Symbols and Pictographs
+            .replace(/[\u{1F680}-\u{1F6FF}]/gu, '') // Transport and Map
+            .replace(/[\u{1F700}-\u{1F77F}]/gu, '') // Alchemical Symbols
+            .replace(/[\u{1F780}-\u{1F7FF}]/gu, '') // Geometric Shapes Extended
+            .replace(/[\u{1F800}-\u{1F8FF}]/gu, '') // Supplemental Arrows-C
+            .replace(/[\u{1F900}-\u{1F9FF}]/gu, '') // Supplemental Symbols and Pictographs
+            .replace(/[\u{1FA00}-\u{1FA6F}]/gu, '') // Chess Symbols
+            .replace(/[\u{1FA70}-\u{1FAFF}]/gu, '') // Symbols and Pictographs Extended-A
+            .replace(/[\u{2600}-\u{26FF}]/gu, '')   // Misc symbols
+            .replace(/[\u{2700}-\u{27BF}]/gu, '')   // Dingbats
+            .replace(/[\uFE00-\uFE0F]/g, '')         // Variation selectors (e.g. U+FE0F after 🖼)
+            .replace(/\u200D/g, '')                  // Zero-width joiner (emoji sequences)
+            .replace(/\u20E3/g, '')                  // Combining enclosing keycap
+            .trim()
+            .replace(/\s+/g, ' ');
+        };
+
+        const getPostId = (article) => {
+          const timeLink = article.querySelector('a[href*="/status/"] time');
+          const statusLink = timeLink ? timeLink.closest("a") : null;
+          const href = statusLink ? statusLink.getAttribute("href") : "";
+          const match = href.match(/\/status\/(\d+)/);
+          return match ? match[1] : null;
+        };
+
+        const cells = Array.from(document.querySelectorAll(sel.cell));
+        const searchText = normalizeText(tweetText).slice(0, 20); // Use first 20 chars without emojis
+        const foundTweets = [];
+
+        // For replies, only look below the parent tweet — the parent and its
+        // ancestors (earlier thread parts) may start with the same text
+        let start = 0;
+        if (parentId) {
+          const parentIndex = cells.findIndex((cell) => {
+            const article = cell.querySelector(sel.tweet);
+            return article && getPostId(article) === parentId;
+          });
+          if (parentIndex !== -1) start = parentIndex + 1;
+        }
+        
+        // Check first 10 cells (to handle promoted tweets, etc)
+        for (let i = start; i < Math.min(cells.length, start + 10); i++) {
+          const cell = cells[i];
+          const article = cell.querySelector(sel.tweet);
+          if (!article) continue;
+          const textEl = article.querySelector(sel.tweetText);
+          if (!textEl) continue;
+          
+          const cellText = textEl.innerText;
+          foundTweets.push(cellText.slice(0, 50)); // Debug
+          
+          const normalizedCell = normalizeText(cellText);
+          
+          if (normalizedCell.includes(searchText)) {
+            const postId = getPostId(article);
+            if (parentId && postId === parentId) continue;
+            return { found: true, postId, foundTweets };
+          }
+        }
+        return { found: false, postId: null, foundTweets };
+      }, text, replyTo, this.selectors);
+
+      if (!verification.found) {
+        console.log("[DEBUG] Searched for:", text.slice(0, 30));
+        console.log("[DEBUG] Found tweets:", verification.foundTweets);
+        throw new TwitterBotError("Tweet not found in feed after posting", "ACTION_NOT_CONFIRMED");
+      }
+
+      // Clean up dialog handler
+      this.page.off("dialog", dialogHandler);
+
+      return { postId: verification.postId };
+    } catch (err) {
+      // Make sure to clean up dialog handler
+      try { this.page.off("dialog", dialogHandler); } catch { /* ignore */ }
+      try { await this._recoverPage(); } catch { /* ignore */ }
+      throw err;
+    }
+  }
+
+  /**
+   * Open the compose poll editor, fill the choices and set the duration.
+   * @param {{choices: string[], durationMinutes?: number}} poll
+   */
+  async _fillPoll(poll) {
+    const opened = await this._clickSelector("pollButton");
+    if (!opened) throw new SelectorNotFoundError("Poll button not found", "pollButton");
+    if (!(await this._waitFor('input[name="Choice1"]', 5000))) {
+      throw new TwitterBotError("Poll editor did not open", "POLL_FAILED");
+    }
+
+    for (let i = 0; i < poll.choices.length; i++) {
+      const selector = `input[name="Choice${i + 1}"]`;
+      // The editor starts with 2 choices — "Add a choice" reveals the rest
+      if (!(await this.page.$(selector))) {
+        const added = await this.page.evaluate(() => {
+          const btn = document.querySelector('[aria-label="Add a choice"], [aria-label="Seçenek ekle"]');
+          if (btn) { btn.click(); return true; }
+          return false;
+        });
+        if (!added) throw new TwitterBotError(`Could not add poll choice ${i + 1}`, "POLL_FAILED");
+        await delay(300);
+      }
+      await this.page.type(selector, poll.choices[i], { delay: 20 });
+      await delay(200);
+    }
+
+    const minutes = poll.durationMinutes !== undefined ? poll.durationMinutes : 1440;
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+    await this.page.select(this.selectors.pollDays, String(days));
+    await this.page.select(this.selectors.pollHours, String(hours));
+    await this.page.select(this.selectors.pollMinutes, String(mins));
+    await delay(300);
+  }
+
+  /**
+   * Validate tweet attachments before anything is opened in the browser:
+   * file exists, type is supported, size is within X's limit, and the mix
+   * is either up to 4 images or a single GIF / video.
+   * @param {Array<string|{path: string, altText?: string}>} [media]
+   * @returns {Array<{path: string, altText: string|null, kind: 'image'|'gif'|'video', size: number}>}
+   */
+  _normalizeMedia(media) {
+    if (!media) return [];
+    if (!Array.isArray(media)) throw new Error("Media must be an array");
+
+    const fs = require("fs");
+    const path = require("path");
+
+    const items = media.map((entry) => {
+      const { path: filePath, altText = null } = typeof entry === "string" ? { path: entry } : entry || {};
+      if (!filePath) throw new Error("Media entries need a file path");
+
+      const abs = path.resolve(filePath);
+      if (!fs.existsSync(abs)) throw new Error(`File not found: ${abs}`);
+
+      const ext = path.extname(abs).toLowerCase();
+      const kind = MEDIA_KINDS[ext];
+      if (!kind) throw new Error(`Unsupported media type "${ext || "none"}": ${abs}`);
+
+      const size = fs.statSync(abs).size;
+      if (size > MEDIA_MAX_BYTES[kind]) {
+        const limitMb = MEDIA_MAX_BYTES[kind] / (1024 * 1024);
+        throw new Error(`File exceeds the ${limitMb} MB ${kind} limit: ${abs}`);
+      }
+
+      if (altText !== null && altText.length > ALT_TEXT_MAX) {
+        throw new Error(`Alt text exceeds ${ALT_TEXT_MAX} characters: ${abs}`);
+      }
+
+      return { path: abs, altText, kind, size };
+    });
+
+    if (items.length > 4) throw new Error("Maximum 4 media files allowed");
+    if (items.length > 1 && items.some((m) => m.kind !== "image")) {
+      throw new Error("A GIF or video must be the only attachment");
+    }
+
+    return items;
+  }
+
+  /**
+   * Wait until the composer has a finished preview for attachment `index`:
+   * the preview is rendered, its progress bar is gone and the post button is
+   * enabled again. Emits `mediaUploadProgress` along the way.
+   * @param {{path: string, kind: string}} item
+   * @param {number} index
+   * @param {number} total
+   * @param {() => boolean} failed – True once X reported the upload as rejected
+   * @param {string} [scope="body"] – Selector of the composer's container
+   */
+  async _waitForUpload(item, index, total, failed, scope = "body") {
+    const progress = (stage, percent) =>
+      this.emit("mediaUploadProgress", { file: item.path, index, total, stage, percent });
+
+    progress("uploading", 0);
+    let lastPercent = 0;
+    let processing = false;
+    const timeout = MEDIA_UPLOAD_TIMEOUT[item.kind];
+    const start = Date.now();
+
+    while (Date.now() - start < timeout) {
+      await delay(500);
+      if (failed()) throw new MediaUploadError("Media upload failed - file may be unsupported or too large", item.path);
+
+      const state = await this.page.evaluate((sel, scopeSelector) => {
+        const root = document.querySelector(scopeSelector) || document;
+        const box = root.querySelector(sel.attachments);
+        const btn = root.querySelector(sel.tweetButton) || root.querySelector(sel.tweetButtonInline);
+        const bar = box ? box.querySelector('[role="progressbar"]') : null;
+        const value = bar ? parseFloat(bar.getAttribute("aria-valuenow")) : NaN;
+        return {
+          previews: box ? box.querySelectorAll("img, video").length : 0,
+          percent: isNaN(value) ? null : Math.round(value),
+          busy: !!bar || (!!btn && btn.getAttribute("aria-disabled") === "true"),
+        };
+      }, this.selectors, scope);
+
+      if (state.previews > index && !state.busy) {
+        progress("done", 100);
+        return;
+      }
+
+      if (state.percent !== null && state.percent !== lastPercent) {
+        lastPercent = state.percent;
+        progress("uploading", state.percent);
+      } else if (state.previews > index && state.percent === null && !processing) {
+        // Preview is in but the post button is still disabled — X is transcoding
+        processing = true;
+        progress("processing", 100);
+      }
+    }
+
+    throw new MediaUploadError(`Media upload timed out after ${timeout / 1000}s: ${item.path}`, item.path);
+  }
+
+  /**
+   * Set the alt text of the attachment at `index` via its
+   * "Add description" editor.
+   * @param {number} index
+   * @param {string} altText
+   * @param {string} [scope="body"] – Selector of the composer's container
+   */
+  async _setAltText(index, altText, scope = "body") {
+    const opened = await this.page.evaluate((i, attachmentsSelector, scopeSelector) => {
+      const root = document.querySelector(scopeSelector) || document;
+      const box = root.querySelector(attachmentsSelector);
+      if (!box) return false;
+      const buttons = Array.from(box.querySelectorAll('a, button, [role="button"]')).filter((el) =>
+        /description|alt text|açıklama/i.test(el.getAttribute("aria-label") || el.innerText || "")
+      );
+      if (!buttons[i]) return false;
+      buttons[i].click();
+      return true;
+    }, index, this.selectors.attachments, scope);
+    if (!opened) throw new MediaUploadError(`Alt text editor not found for attachment ${index + 1}`);
+
+    const input = this.selectors.altTextInput;
+    if (!(await this._waitFor(input, 5000))) {
+      throw new MediaUploadError(`Alt text editor did not open for attachment ${index + 1}`);
+    }
+    await this.page.type(input, altText, { delay: 10 });
+    await delay(300);
+
+    const saved =
+      (await this._clickSelector("altTextSave")) ||
+      (await this._clickFlowButton(["save", "kaydet"]));
+    if (!saved) throw new MediaUploadError(`Could not save alt text for attachment ${index + 1}`);
+  }
+
+  /**
+   * Open a tweet's status page and return the article of the tweet itself.
+   * On replies the parent tweets are rendered above it, so the article is
+   * matched by its permalink rather than taken as the first one.
+   * @param {string} tweetId
+   * @returns {Promise<ElementHandle>}
+   */
+  async _openTweet(tweetId) {
+    await this.page.goto(this._tweetUrl(tweetId), {
+      waitUntil: "networkidle2",
+      timeout: this.timeout,
+    });
+    await delay(1500);
+    this._checkSession();
+
+    const loaded = await this._waitFor(this.selectors.tweet, 10000);
+    if (!loaded) throw new TwitterBotError(`Tweet ${tweetId} not found or unavailable`, "TWEET_NOT_FOUND");
+
+    // No fallback to another article: when the tweet itself is deleted or
+    // hidden its parent may still render, and acting on that would hit the
+    // wrong tweet
+    const handle = await this.page.evaluateHandle((id, tweetSelector) => {
+      for (const article of document.querySelectorAll(tweetSelector)) {
+        for (const time of article.querySelectorAll('a[href*="/status/"] time')) {
+          const m = time.closest("a").getAttribute("href").match(/\/status\/(\d+)/);
+          if (m && m[1] === id) return article;
+        }
+      }
+      return null;
+    }, tweetId, this.selectors.tweet);
 
-        const followBtn = document.querySelector('[data-testid$="-follow"]');
-        if (followBtn) return "not_following";
+    const article = handle.asElement();
+    if (!article) throw new TwitterBotError(`Tweet ${tweetId} not found or unavailable`, "TWEET_NOT_FOUND");
+    return article;
+  }
 
-        return "unknown";
-      });
+  /**
+   * Flip a tweet action button (retweet/unretweet, like/unlike, …) inside an
+   * article and verify the opposite button replaced it.
+   * @param {ElementHandle} article
+   * @param {object} spec
+   * @param {string} spec.from      – Selector name of the button to click
+   * @param {string} spec.to        – Selector name expected afterwards
+   * @param {string} [spec.confirm] – Selector name of a menu item to confirm with
+   * @returns {Promise<boolean|null>} true = changed, false = already in target state, null = no button found
+   */
+  async _toggleTweetButton(article, { from, to, confirm }) {
+    if (await article.$(this.selectors[to])) return false;
 
-      if (followState === "already_following") {
-        return {
-          username,
-          status: "already_following",
-          timestamp: new Date().toISOString(),
-        };
-      }
+    const btn = await article.$(this.selectors[from]);
+    if (!btn) return null;
 
-      if (followState === "unknown") {
-        throw new Error(`Could not detect follow button for @${username}`);
-      }
+    await btn.evaluate((el) => el.click());
+    await delay(1000);
 
-      // Click the follow button
-      await this.page.evaluate(() => {
-        const btn = document.querySelector('[data-testid$="-follow"]');
-        if (btn) btn.click();
-      });
+    if (confirm) {
+      const confirmed = await this._clickSelector(confirm);
+      if (!confirmed) throw new SelectorNotFoundError(`Confirmation "${confirm}" not found`, confirm);
+    }
 
-      await delay(2000);
+    await delay(1500);
 
-      // Verify follow succeeded
-      const confirmed = await this.page.evaluate(() => {
-        // Check transparent-bg unfollow button
-        const unfollowBtn = document.querySelector('[data-testid$="-unfollow"]');
-        if (unfollowBtn) {
-          const bg = unfollowBtn.style.backgroundColor;
-          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") return true;
-        }
-        // Check aria-label unfollow button with @
-        const allButtons = document.querySelectorAll('button[role="button"]');
-        for (const btn of allButtons) {
-          const label = btn.getAttribute("aria-label") || "";
-          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") return true;
+    if (!(await article.$(this.selectors[to]))) {
+      throw new TwitterBotError(`Action "${from}" did not complete`, "ACTION_NOT_CONFIRMED");
+    }
+    return true;
+  }
+
+  /**
+   * Scroll the current page and collect items until `count` unique items
+   * were seen or X stops loading more (5 rounds without new data).
+   * @param {() => Promise<object[]>} scrape – Returns the currently rendered items
+   * @param {number} count
+   * @param {(item: object) => string} keyOf – Dedup key
+   * @param {() => Promise<boolean>} [scroll] – Scrolls once, resolves false if
+   *   nothing moved; defaults to scrolling the window down
+   * @returns {Promise<{items: object[], scrollBlocked: boolean}>}
+   */
+  async _scrollCollect(scrape, count, keyOf, scroll = () => this._scrollPageDown()) {
+    const collectedMap = new Map(); // key → item (dedup)
+    let scrollBlocked = false;
+    let noNewDataRetries = 0;
+    const MAX_RETRIES = 5;
+
+    while (collectedMap.size < count) {
+      const visible = await scrape();
+
+      let newFound = 0;
+      for (const item of visible) {
+        const key = keyOf(item);
+        if (!collectedMap.has(key)) {
+          collectedMap.set(key, item);
+          newFound++;
         }
-        return false;
-      });
+        if (collectedMap.size >= count) break;
+      }
 
-      if (!confirmed) {
-        throw new Error(`Follow action for @${username} did not complete`);
+      if (collectedMap.size >= count) break;
+
+      if (newFound === 0) {
+        noNewDataRetries++;
+        if (noNewDataRetries >= MAX_RETRIES) {
+          scrollBlocked = true;
+          break;
+        }
+      } else {
+        noNewDataRetries = 0;
       }
 
-      const result = {
-        username,
-        status: "followed",
-        timestamp: new Date().toISOString(),
-      };
-      this.emit("userFollowed", result);
-      return result;
-    } catch (err) {
-      this.emit("followFailed", { username, error: err.message });
-      throw err;
+      // Detect if scroll is physically blocked (nothing moved)
+      const moved = await scroll();
+      if (!moved) {
+        noNewDataRetries++;
+        if (noNewDataRetries >= MAX_RETRIES) {
+          scrollBlocked = true;
+          break;
+        }
+        // Wait a bit longer before retrying
+        await delay(1000);
+      }
     }
+
+    return { items: Array.from(collectedMap.values()).slice(0, count), scrollBlocked };
   }
 
-  // ── Unfollow a user ────────────────────────────────────────────────────────
+  /**
+   * Scroll the window down by 800px.
+   * @returns {Promise<boolean>} false if the page height didn't change
+   */
+  async _scrollPageDown() {
+    const prevHeight = await this.page.evaluate(() => document.body.scrollHeight);
+    await this.page.evaluate(() => window.scrollBy(0, 800));
+    await delay(1500);
+    const newHeight = await this.page.evaluate(() => document.body.scrollHeight);
+    return newHeight !== prevHeight;
+  }
 
   /**
-   * Unfollow a user on X (Twitter).
-   * @param {string} username – The username to unfollow (without @)
-   * @returns {Promise<{username: string, status: 'unfollowed'|'not_following'|'failed', timestamp: string}>}
+   * Walk a /followers or /following page. Shared by getFollowers() and
+   * getFollowing().
+   * @param {string} username
+   * @param {'followers'|'following'} list
+   * @param {number} count
    */
-  async unfollowUser(username) {
+  async _getUserList(username, list, count) {
     this._ensureReady();
     if (!username) throw new Error("Username is required");
 
     // Strip @ if provided
     username = username.replace(/^@/, "");
 
-    try {
-      await this.page.goto(`https://x.com/${username}`, {
-        waitUntil: "networkidle2",
-        timeout: this.timeout,
-      });
-      await delay(2000);
+    const url = `https://x.com/${username}/${list}`;
 
-      // Check if the profile page loaded correctly
-      const profileExists = await this.page.evaluate(() => {
-        const errorHeading = document.querySelector('[data-testid="empty_state_header_text"]');
-        if (errorHeading) return false;
-        if (document.querySelector('[data-testid="UserName"]')) return true;
-        if (document.querySelector('[data-testid="UserAvatar-Container-unknown"]')) return false;
-        return true;
-      });
+    await this.page.goto(url, { waitUntil: "networkidle2", timeout: this.timeout });
+    await delay(2000);
+    this._checkSession();
 
-      if (!profileExists) {
-        throw new Error(`User @${username} not found or account is suspended`);
+    if (!(await this._waitFor(this.selectors.userCell, 10000))) {
+      // Empty list, protected account or missing profile — tell them apart
+      const state = await this._profileState();
+      if (state !== "ok") throw new UserNotFoundError(username);
+      return { username, url, requested: count, collected: 0, scrollBlocked: false, users: [] };
+    }
+
+    const { items, scrollBlocked } = await this._scrollCollect(
+      () => this.page.evaluate(_parseUserCells, this.selectors),
+      count,
+      (u) => u.handle.toLowerCase()
+    );
+
+    return {
+      username,
+      url,
+      requested: count,
+      collected: items.length,
+      scrollBlocked,
+      users: items,
+    };
+  }
+
+  /**
+   * Shared loop behind followMany() / unfollowMany().
+   * @param {'follow'|'unfollow'} action
+   * @param {string[]} usernames
+   * @param {object} options
+   */
+  async _bulkFollow(action, usernames, options = {}) {
+    this._ensureReady();
+    if (!Array.isArray(usernames)) throw new Error("Usernames array is required");
+
+    const {
+      minDelay = 20000,
+      maxDelay = 60000,
+      maxPerHour = 40,
+      maxPerDay = 300,
+      stopOnRateLimit = true,
+      progressFile = null,
+    } = options;
+
+    const fs = require("fs");
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+    const method = action === "follow" ? "followUser" : "unfollowUser";
+    const doneStatus = action === "follow" ? "followed" : "unfollowed";
+
+    // ── Load progress (resume) ──────────────────────────────
+    let progress = { action, results: {}, actions: [] };
+    if (progressFile && fs.existsSync(progressFile)) {
+      progress = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+      if (progress.action !== action) {
+        throw new Error(`Progress file belongs to a ${progress.action} run`);
       }
+    }
 
-      // Detect follow state.
-      // Subscription accounts have two buttons with data-testid$="-unfollow":
-      //   1) Subscribe button → colored background (e.g. purple)
-      //   2) Real unfollow button → transparent background rgba(0,0,0,0)
-      //      OR a separate button with aria-label containing "@" and aria-haspopup="menu"
-      const followState = await this.page.evaluate(() => {
-        // Check transparent-bg unfollow button (normal accounts)
-        const unfollowBtn = document.querySelector('[data-testid$="-unfollow"]');
-        if (unfollowBtn) {
-          const bg = unfollowBtn.style.backgroundColor;
-          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") return "following";
-        }
+    // Timestamps of performed actions — shared across runs on this instance
+    // and restored from the progress file, so caps hold after a restart
+    const log = this._actionLog[action];
+    for (const t of progress.actions || []) {
+      const ms = Date.parse(t);
+      if (!log.includes(ms)) log.push(ms);
+    }
 
-        // Check aria-label button with @ (subscription accounts)
-        const allButtons = document.querySelectorAll('button[role="button"]');
-        for (const btn of allButtons) {
-          const label = btn.getAttribute("aria-label") || "";
-          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") {
-            return "following";
-          }
-        }
+    const saveProgress = () => {
+      if (!progressFile) return;
+      progress.actions = log.map((t) => new Date(t).toISOString());
+      fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+    };
 
-        const followBtn = document.querySelector('[data-testid$="-follow"]');
-        if (followBtn) return "not_following";
+    const queue = [...new Set(usernames.map((u) => u.replace(/^@/, "")).filter(Boolean))];
+    const results = [];
+    let stopReason = null;
+    let i = 0;
 
-        return "unknown";
-      });
+    for (; i < queue.length; i++) {
+      const username = queue[i];
 
-      if (followState === "not_following") {
-        return {
-          username,
-          status: "not_following",
-          timestamp: new Date().toISOString(),
-        };
+      const previous = progress.results[username.toLowerCase()];
+      if (previous && previous.status !== "failed") {
+        results.push({ username, ...previous, resumed: true });
+        continue;
       }
 
-      if (followState === "unknown") {
-        throw new Error(`Could not detect follow/unfollow button for @${username}`);
+      // ── Caps ────────────────────────────────────────────
+      const now = Date.now();
+      log.splice(0, log.length, ...log.filter((t) => now - t < DAY));
+      if (log.length >= maxPerDay) {
+        stopReason = "daily_limit";
+        break;
+      }
+      const lastHour = log.filter((t) => now - t < HOUR);
+      if (lastHour.length >= maxPerHour) {
+        await delay(HOUR - (now - Math.min(...lastHour)) + 1000);
       }
 
-      // Click the correct unfollow button:
-      //   Priority 1: data-testid$="-unfollow" with transparent bg → normal account
-      //   Priority 2: button with aria-label containing "@" + aria-haspopup="menu" → subscription account
-      const clickedType = await this.page.evaluate(() => {
-        // Priority 1: transparent-bg unfollow button
-        const unfollowBtn = document.querySelector('[data-testid$="-unfollow"]');
-        if (unfollowBtn) {
-          const bg = unfollowBtn.style.backgroundColor;
-          if (bg === "rgba(0, 0, 0, 0)" || bg === "transparent") {
-            unfollowBtn.click();
-            return "normal";
-          }
+      // ── Action ──────────────────────────────────────────
+      let entry;
+      try {
+        const r = await this[method](username);
+        entry = { status: r.status, timestamp: r.timestamp };
+        if (r.status === doneStatus) log.push(Date.now());
+      } catch (err) {
+        entry = { status: "failed", error: err.message, timestamp: new Date().toISOString() };
+        if (await this._isRateLimited(err)) {
+          entry.rateLimited = true;
+          this.emit("rateLimited", { action, username, error: err.message });
         }
+      }
 
-        // Priority 2: aria-label button with @ (subscription accounts)
-        const allButtons = document.querySelectorAll('button[role="button"]');
-        for (const btn of allButtons) {
-          const label = btn.getAttribute("aria-label") || "";
-          if (label.includes("@") && btn.getAttribute("aria-haspopup") === "menu") {
-            btn.click();
-            return "subscription";
-          }
-        }
+      results.push({ username, ...entry });
+      progress.results[username.toLowerCase()] = entry;
+      saveProgress();
 
-        return null;
-      });
+      // Leave the rate-limited user in `remaining` so it is retried
+      if (entry.rateLimited && stopOnRateLimit) {
+        stopReason = "rate_limited";
+        break;
+      }
 
-      if (!clickedType) {
-        throw new Error(`Could not find unfollow button for @${username}`);
+      if (i < queue.length - 1) {
+        await delay(minDelay + Math.random() * (maxDelay - minDelay));
       }
+    }
 
-      await delay(1500);
+    const summary = {};
+    for (const r of results) summary[r.status] = (summary[r.status] || 0) + 1;
 
-      // Two possible flows after clicking:
-      //   A) Normal accounts → confirmation dialog with data-testid="confirmationSheetConfirm"
-      //   B) Subscription accounts → dropdown menu (role="menu") → click menuitem with @username
+    return {
+      action,
+      total: queue.length,
+      processed: results.length,
+      summary,
+      results,
+      remaining: queue.slice(i),
+      stopped: stopReason !== null,
+      stopReason,
+      timestamp: new Date().toISOString(),
+    };
+  }
 
-      // Try Flow A: confirmation dialog
-      let unfollowConfirmed = await this.page.evaluate(() => {
-        const confirmBtn = document.querySelector('[data-testid="confirmationSheetConfirm"]');
-        if (confirmBtn) {
-          confirmBtn.click();
-          return true;
-        }
-        return false;
-      });
+  /**
+   * Whether a failure looks like an X rate limit — checks the error type,
+   * its message and any toast / alert currently shown.
+   * @param {Error} err
+   * @returns {Promise<boolean>}
+   */
+  async _isRateLimited(err) {
+    if (err instanceof RateLimitedError) return true;
+    if (RATE_LIMIT_PATTERN.test(err.message || "")) return true;
+    try {
+      const toast = await this.page.evaluate((sel) => {
+        const el = document.querySelector(`${sel.toast}, [role="alert"]`);
+        return el ? el.innerText : "";
+      }, this.selectors);
+      return RATE_LIMIT_PATTERN.test(toast);
+    } catch {
+      return false;
+    }
+  }
 
-      if (!unfollowConfirmed) {
-        // Try Flow B: dropdown menu — click the menuitem whose text contains @username
-        unfollowConfirmed = await this.page.evaluate((uname) => {
-          const menu = document.querySelector('[role="menu"]');
-          if (!menu) return false;
+  _loadSchedule() {
+    if (!this._jobs) {
+      const fs = require("fs");
+      this._jobs = this.scheduleFile && fs.existsSync(this.scheduleFile)
+        ? JSON.parse(fs.readFileSync(this.scheduleFile, "utf8"))
+        : [];
+    }
+    return this._jobs;
+  }
 
-          const items = menu.querySelectorAll('[role="menuitem"]');
-          for (const item of items) {
-            const text = item.innerText.toLowerCase();
-            if (text.includes("@" + uname.toLowerCase())) {
-              item.click();
-              return true;
-            }
-          }
+  _saveSchedule() {
+    if (!this.scheduleFile) return;
+    const fs = require("fs");
+    fs.writeFileSync(this.scheduleFile, JSON.stringify(this._jobs, null, 2));
+  }
 
-          // Fallback: click the first menuitem if only one exists
-          if (items.length === 1) {
-            items[0].click();
-            return true;
-          }
+  _startScheduler() {
+    if (this._schedulerTimer) return;
+    this._schedulerTimer = setInterval(() => {
+      this._runDueJobs().catch((err) => this._backgroundError("scheduler", err));
+    }, SCHEDULER_TICK);
+    // Pending jobs alone should not keep the process alive
+    this._schedulerTimer.unref();
+  }
 
-          return false;
-        }, username);
+  /**
+   * Report a failure inside a timer-driven task. Emitted as
+   * `backgroundError` rather than `error`, which would throw (and crash the
+   * process) when nobody listens for it.
+   * @param {string} task – Which task failed, e.g. "scheduler"
+   * @param {Error} err
+   */
+  _backgroundError(task, err) {
+    this.emit("backgroundError", { task, error: err.message, code: err.code, cause: err });
+  }
 
-        if (!unfollowConfirmed) {
-          throw new Error(`Unfollow confirmation not found for @${username}`);
+  _stopScheduler() {
+    if (this._schedulerTimer) {
+      clearInterval(this._schedulerTimer);
+      this._schedulerTimer = null;
+    }
+  }
+
+  /**
+   * Post every due job, one at a time. Emits `tweetPosted` / `tweetFailed`
+   * with the job ID attached.
+   */
+  async _runDueJobs() {
+    if (this._backgroundBusy || !this.isReady) return;
+    this._backgroundBusy = true;
+
+    try {
+      const now = Date.now();
+      const due = this._loadSchedule()
+        .filter((job) => job.status === "pending" && Date.parse(job.nextAttemptAt || job.at) <= now)
+        .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+
+      for (const job of due) {
+        // Bot closed or job cancelled while an earlier job was posting
+        if (!this.isReady || job.status !== "pending") continue;
+
+        job.attempts++;
+        try {
+          // Re-validated here — files may have changed since scheduling
+          const media = this._normalizeMedia(job.media);
+          const { postId } = await this._withPage(() => this._composeTweet(job.text, { media }));
+
+          job.status = "posted";
+          job.postId = postId;
+          job.postedAt = new Date().toISOString();
+          job.lastError = null;
+          this._saveSchedule();
+
+          this.emit("tweetPosted", {
+            success: true,
+            text: job.text,
+            postId,
+            jobId: job.id,
+            timestamp: job.postedAt,
+          });
+        } catch (err) {
+          // X never accepts a duplicate, so retrying it only burns attempts
+          const willRetry = job.attempts <= job.maxRetries && !(err instanceof DuplicateTweetError);
+          job.lastError = err.message;
+          if (willRetry) {
+            const backoff = SCHEDULER_RETRY_BASE * 2 ** (job.attempts - 1);
+            job.nextAttemptAt = new Date(Date.now() + backoff).toISOString();
+          } else {
+            job.status = "failed";
+          }
+          this._saveSchedule();
+
+          this.emit("tweetFailed", {
+            text: job.text,
+            error: err.message,
+            code: err.code,
+            cause: err,
+            jobId: job.id,
+            attempt: job.attempts,
+            willRetry,
+          });
         }
+      }
+    } finally {
+      this._backgroundBusy = false;
+    }
+  }
 
-        await delay(1000);
+  /**
+   * Click the caret ("More") button of a tweet article.
+   * @param {ElementHandle} article
+   * @param {string} tweetId – For error messages
+   */
+  async _openTweetMenu(article, tweetId) {
+    const caret = await article.$(this.selectors.caret);
+    if (!caret) throw new SelectorNotFoundError(`Menu button not found for tweet ${tweetId}`, "caret");
+    await caret.evaluate((el) => el.click());
+    await delay(1000);
+  }
 
-        // After dropdown click, there may still be a confirmation dialog
-        await this.page.evaluate(() => {
-          const confirmBtn = document.querySelector('[data-testid="confirmationSheetConfirm"]');
-          if (confirmBtn) confirmBtn.click();
-        });
+  /**
+   * Whether the open dropdown menu has an item whose text matches.
+   * @param {RegExp} pattern
+   * @returns {Promise<boolean>}
+   */
+  async _hasMenuItem(pattern) {
+    return await this.page.evaluate((source, flags) => {
+      const re = new RegExp(source, flags);
+      const items = document.querySelectorAll('[role="menu"] [role="menuitem"]');
+      return Array.from(items).some((item) => re.test(item.innerText.trim()));
+    }, pattern.source, pattern.flags);
+  }
+
+  /**
+   * Click the first item of the open dropdown menu whose text matches.
+   * Menu items (delete, pin, …) have no test ids.
+   * @param {RegExp} pattern
+   * @returns {Promise<boolean>}
+   */
+  async _clickMenuItem(pattern) {
+    const clicked = await this.page.evaluate((source, flags) => {
+      const re = new RegExp(source, flags);
+      for (const item of document.querySelectorAll('[role="menu"] [role="menuitem"]')) {
+        if (re.test(item.innerText.trim())) {
+          item.click();
+          return true;
+        }
       }
+      return false;
+    }, pattern.source, pattern.flags);
+    if (clicked) await delay(500);
+    return clicked;
+  }
 
-      await delay(2000);
-
-      // Verify unfollow succeeded – follow button should appear
-      const verified = await this.page.evaluate(() => {
-        return !!document.querySelector('[data-testid$="-follow"]');
-      });
+  /**
+   * The bot account's username — the `username` option, or read from the
+   * sidebar profile link.
+   * @returns {Promise<string>}
+   */
+  async _ownUsername() {
+    if (this.username) return this.username;
+    const href = await this.page.evaluate((sel) => {
+      const link = document.querySelector(sel.ownProfileLink);
+      return link ? link.getAttribute("href") : "";
+    }, this.selectors);
+    const username = (href || "").replace(/^\//, "");
+    if (!username) throw new TwitterBotError("Could not determine own username — pass the username option", "USERNAME_UNKNOWN");
+    return username;
+  }
 
-      if (!verified) {
-        throw new Error(`Unfollow action for @${username} did not complete`);
-      }
+  /**
+   * Open the DM conversation with a user via their profile "Message" button.
+   * @param {string} username – Without @
+   */
+  async _openConversationWith(username) {
+    await this.page.goto(`https://x.com/${username}`, {
+      waitUntil: "networkidle2",
+      timeout: this.timeout,
+    });
+    await delay(2000);
+    this._checkSession();
 
-      const result = {
-        username,
-        status: "unfollowed",
-        timestamp: new Date().toISOString(),
-      };
-      this.emit("userUnfollowed", result);
-      return result;
-    } catch (err) {
-      this.emit("unfollowFailed", { username, error: err.message });
-      throw err;
+    if ((await this._profileState()) !== "ok") {
+      throw new UserNotFoundError(username);
     }
-  }
 
-  // ── Search & like tweets ─────────────────────────────────────────────────
+    const opened = await this._clickSelector("dmButton");
+    if (!opened) throw new TwitterBotError(`@${username} does not accept direct messages`, "DM_NOT_ACCEPTED");
+    await delay(2000);
+  }
 
-  async searchAndLike(query, count = 5) {
-    this._ensureReady();
-    if (!query) throw new Error("Search query is required");
+  /**
+   * Whether a reply satisfies every condition of a rule's `match`.
+   * @param {object} match
+   * @param {object} reply
+   * @returns {boolean}
+   */
+  _ruleMatches(match, reply) {
+    const test = (cond, value) => {
+      if (cond instanceof RegExp) return cond.test(value);
+      if (Array.isArray(cond)) return cond.some((c) => test(c, value));
+      return value.toLowerCase().includes(String(cond).toLowerCase());
+    };
 
-    await this.page.goto(
-      `https://x.com/search?q=${encodeURIComponent(query)}&src=typed_query&f=live`,
-      { waitUntil: "networkidle2", timeout: this.timeout }
-    );
-    await delay(1000);
+    if (match.text && !test(match.text, reply.text || "")) return false;
 
-    const likeButtons = await this.page.$$('[data-testid="like"]');
-    const likesToDo = Math.min(count, likeButtons.length);
-    let liked = 0;
+    if (match.handle) {
+      const handle = (reply.handle || "").replace(/^@/, "").toLowerCase();
+      const handles = Array.isArray(match.handle) ? match.handle : [match.handle];
+      const ok = handles.some((h) =>
+        h instanceof RegExp ? h.test(handle) : h.replace(/^@/, "").toLowerCase() === handle
+      );
+      if (!ok) return false;
+    }
 
-    for (let i = 0; i < likesToDo; i++) {
-      try {
-        await likeButtons[i].click();
-        liked++;
-        await delay(1000 + Math.random() * 1000);
-      } catch {
-        /* skip */
-      }
+    if (match.lang) {
+      const langs = Array.isArray(match.lang) ? match.lang : [match.lang];
+      if (!langs.includes(reply.lang)) return false;
     }
 
-    return { query, liked };
+    return true;
   }
 
-  // ── Edit Profile (──────────────────────────────────────────────────
-
   /**
-   * Edit the authenticated user’s profile via https://x.com/settings/profile.
-   *
-   * All fields on the page:
-   *   • header      – 1st  fileInput   (banner image)
-   *   • avatar      – 2nd  fileInput   (profile picture)
-   *   • displayName – input[name="displayName"]  (max 50)
-   *   • bio         – textarea[name="description"] (max 160)
-   *   • location    – input[name="location"]     (max 30)
-   *   • website     – input[name="url"]           (max 100)
-   *   • Save        – data-testid="Profile_Save_Button"
-   *
-   * Only the provided fields are changed; omitted ones are left untouched.
-   *
-   * @param {object}  options
-   * @param {string}  [options.avatar]      – Path to profile-picture image
-   * @param {string}  [options.header]      – Path to header / banner image
-   * @param {string}  [options.displayName] – Display name (max 50)
-   * @param {string}  [options.bio]         – Bio / description text (max 160)
-   * @param {string}  [options.location]    – Location text (max 30)
-   * @param {string}  [options.website]     – Website URL (max 100)
-   * @returns {Promise<object>}
+   * Perform (or, in dry-run mode, only describe) a rule's actions.
+   * @param {object} reply
+   * @param {{reply?: string, like?: boolean, follow?: boolean}} actions
+   * @param {boolean} dryRun
+   * @returns {Promise<object[]>}
    */
-  async setupProfile(options = {}) {
-    this._ensureReady();
+  async _runRuleActions(reply, actions, dryRun) {
+    const performed = [];
 
-    const { avatar, header, bio, displayName, location, website } = options;
-    const pathModule = require("path");
-    const fs = require("fs");
+    const run = async (type, detail, fn) => {
+      if (dryRun) {
+        performed.push({ type, ...detail, status: "dry_run" });
+        return;
+      }
+      try {
+        const r = await fn();
+        performed.push({ type, ...detail, status: r.status || "done" });
+      } catch (err) {
+        performed.push({ type, ...detail, status: "failed", error: err.message });
+      }
+    };
 
-    // Validate image paths up-front
-    for (const [label, filePath] of [["avatar", avatar], ["header", header]]) {
-      if (filePath) {
-        const abs = pathModule.isAbsolute(filePath) ? filePath : pathModule.resolve(filePath);
-        if (!fs.existsSync(abs)) throw new Error(`${label} file not found: ${abs}`);
+    if (actions.reply) {
+      // Function replacers — "$&", "$1", "$$" in the tweet text stay literal
+      const text = actions.reply
+        .replace(/\{handle\}/g, () => reply.handle)
+        .replace(/\{username\}/g, () => reply.username || reply.handle)
+        .replace(/\{text\}/g, () => reply.text);
+      if (text.length > 280) {
+        performed.push({ type: "reply", text, status: "failed", error: "Reply exceeds 280 characters" });
+      } else {
+        await run("reply", { text }, () => this.replyToTweet(reply.tweetId, text));
       }
     }
+    if (actions.like) {
+      await run("like", {}, () => this.likeTweet(reply.tweetId));
+    }
+    if (actions.follow && reply.handle) {
+      await run("follow", { username: reply.handle }, () => this.followUser(reply.handle));
+    }
 
-    try {
-      await this.page.goto("https://x.com/settings/profile", {
-        waitUntil: "networkidle2",
-        timeout: this.timeout,
-      });
-      await delay(2000);
+    return performed;
+  }
 
-      // Wait for the save button to confirm page loaded
-      const pageReady = await this._waitFor('[data-testid="Profile_Save_Button"]', 10000);
-      if (!pageReady) throw new Error("Profile settings page did not load");
+  /**
+   * Replies rendered below a tweet on its status page — articles after the
+   * tweet itself (parents of a reply are rendered above it).
+   * @param {string} tweetId
+   * @param {object[]} articles – Output of _parseTweetArticles
+   * @returns {object[]}
+   */
+  _repliesOf(tweetId, articles) {
+    const index = articles.findIndex((t) => t.tweetId === tweetId);
+    // Tweet scrolled out of the (virtualized) list → everything left is a reply
+    if (index === -1) return articles.filter((t) => t.tweetId !== tweetId);
+    return articles.slice(index + 1);
+  }
 
-      const result = {
-        avatar: false,
-        header: false,
-        displayName: false,
-        bio: false,
-        location: false,
-        website: false,
-        saved: false,
-        timestamp: new Date().toISOString(),
-      };
+  /**
+   * Flatten a getConversationTree() tree into CSV, one row per tweet in
+   * depth-first order.
+   * @param {object} root
+   * @returns {string}
+   */
+  _conversationCsv(root) {
+    const columns = ["tweetId", "parentId", "depth", "handle", "username", "time", "likes", "replies", "reposts", "views", "text", "media"];
+    const cell = (value) => {
+      const str = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
 
-      // ── Header (banner) image ── 1st fileInput on the page ────
-      if (header) {
-        const fileInputs = await this.page.$$('[data-testid="fileInput"]');
-        if (fileInputs.length >= 1) {
-          const abs = pathModule.isAbsolute(header) ? header : pathModule.resolve(header);
-          await fileInputs[0].uploadFile(abs);
-          await delay(3000);
-          // Crop dialog
-          await this._clickTestId("applyButton");
-          await delay(1500);
-          result.header = true;
-        }
-      }
+    const rows = [columns.join(",")];
+    const visit = (node) => {
+      const row = { ...node, media: (node.media || []).map((m) => m.url).join(" ") };
+      rows.push(columns.map((c) => cell(row[c])).join(","));
+      node.children.forEach(visit);
+    };
+    visit(root);
+    return rows.join("\n") + "\n";
+  }
 
-      // ── Avatar (profile picture) ── 2nd fileInput on the page ──
-      if (avatar) {
-        const fileInputs = await this.page.$$('[data-testid="fileInput"]');
-        if (fileInputs.length >= 2) {
-          const abs = pathModule.isAbsolute(avatar) ? avatar : pathModule.resolve(avatar);
-          await fileInputs[1].uploadFile(abs);
-          await delay(3000);
-          // Crop dialog
-          await this._clickTestId("applyButton");
-          await delay(1500);
-          result.avatar = true;
-        }
-      }
+  /**
+   * Response listener installed by _preparePage(): keeps the JSON body of
+   * the GraphQL calls in GRAPHQL_OPERATIONS, in request order, capped at
+   * GRAPHQL_BUFFER entries. Bodies are parsed asynchronously —
+   * _graphqlPayloads() waits for those still in flight.
+   * @param {HTTPResponse} res
+   */
+  _captureGraphQL(res) {
+    const match = res.url().match(GRAPHQL_OPERATIONS);
+    if (!match || res.request().method() === "OPTIONS") return;
+
+    const graphql = this._graphql;
+    const seq = ++graphql.seq;
+    const parsing = res
+      .json()
+      .then((data) => {
+        let variables = {};
+        try {
+          variables = JSON.parse(new URL(res.url()).searchParams.get("variables") || "{}");
+        } catch { /* POST requests carry no variables in the URL */ }
+
+        graphql.entries.push({ seq, operation: match[1], variables, data });
+        // Bodies can finish parsing out of order
+        graphql.entries.sort((a, b) => a.seq - b.seq);
+        if (graphql.entries.length > GRAPHQL_BUFFER) graphql.entries.shift();
+      })
+      .catch(() => { /* redirects / aborted loads have no body */ })
+      .finally(() => graphql.pending.delete(parsing));
+    graphql.pending.add(parsing);
+  }
 
-      // ── Display Name ────────────────────────────────────────
-      if (displayName !== undefined) {
-        const ok = await this._fillProfileField('input[name="displayName"]', displayName);
-        if (ok) result.displayName = true;
-      }
+  /**
+   * Sequence number of the last captured GraphQL request — pass it as
+   * `since` to only read responses triggered afterwards.
+   * @returns {number}
+   */
+  _graphqlMark() {
+    return this._graphql.seq;
+  }
 
-      // ── Bio ─────────────────────────────────────────────────
-      if (bio !== undefined) {
-        const ok = await this._fillProfileField('textarea[name="description"]', bio);
-        if (ok) result.bio = true;
-      }
+  /**
+   * Captured response bodies of one GraphQL operation, oldest first.
+   * @param {string} operation – e.g. "TweetDetail"
+   * @param {object} [options]
+   * @param {number} [options.since=0] – Only responses after this _graphqlMark()
+   * @param {(variables: object) => boolean} [options.match] – Filter on the request variables
+   * @returns {Promise<object[]>}
+   */
+  async _graphqlPayloads(operation, { since = 0, match = null } = {}) {
+    await Promise.all([...this._graphql.pending]);
+    return this._graphql.entries
+      .filter((e) => e.seq > since && e.operation === operation && (!match || match(e.variables)))
+      .map((e) => e.data);
+  }
 
-      // ── Location ────────────────────────────────────────────
-      if (location !== undefined) {
-        const ok = await this._fillProfileField('input[name="location"]', location);
-        if (ok) result.location = true;
+  /**
+   * Every tweet in GraphQL payloads, in timeline order and de-duplicated,
+   * mapped to the shape of _parseTweetArticles(). Quoted tweets are not
+   * listed separately.
+   * @param {object[]} payloads
+   * @returns {object[]}
+   */
+  _graphqlTweets(payloads) {
+    const tweets = new Map();
+    const walk = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (node.tweet_results) {
+        const tweet = this._tweetFromGraphQL(node.tweet_results.result);
+        if (tweet && !tweets.has(tweet.tweetId)) tweets.set(tweet.tweetId, tweet);
+        return;
       }
+      for (const value of Object.values(node)) walk(value);
+    };
+    payloads.forEach(walk);
+    return Array.from(tweets.values());
+  }
 
-      // ── Website ─────────────────────────────────────────────
-      if (website !== undefined) {
-        const ok = await this._fillProfileField('input[name="url"]', website);
-        if (ok) result.website = true;
-      }
+  /**
+   * Map a GraphQL tweet result to the shape of _parseTweetArticles(), plus
+   * `bookmarks`. Retweets carry the original tweet's content, as on the page.
+   * @param {object} result
+   * @returns {object|null} null for tombstones / unavailable tweets
+   */
+  _tweetFromGraphQL(result) {
+    if (result && result.__typename === "TweetWithVisibilityResults") result = result.tweet;
+    if (!result || !result.legacy || !result.rest_id) return null;
+
+    const retweeted = result.legacy.retweeted_status_result;
+    if (retweeted && retweeted.result) {
+      const original = this._tweetFromGraphQL(retweeted.result);
+      if (original) return { ...original, isRetweet: true };
+    }
 
-      // ── Save ────────────────────────────────────────────────
-      await this._clickTestId("Profile_Save_Button");
-      await delay(3000);
-      result.saved = true;
+    const legacy = result.legacy;
+    const userResult = (result.core && result.core.user_results && result.core.user_results.result) || {};
+    const user = { ...(userResult.legacy || {}), ...(userResult.core || {}) };
 
-      this.emit("profileSetup", result);
-      return result;
-    } catch (err) {
-      this.emit("profileSetupFailed", { error: err.message });
-      throw err;
+    // Long posts keep their full text in note_tweet; full_text starts with the
+    // "@replied-to" handles and ends with the media link, display_text_range skips both
+    const note = result.note_tweet && result.note_tweet.note_tweet_results && result.note_tweet.note_tweet_results.result;
+    let text = note ? note.text : Array.from(legacy.full_text || "").slice(...(legacy.display_text_range || [0])).join("");
+    for (const u of (legacy.entities && legacy.entities.urls) || []) {
+      if (u.url && u.expanded_url) text = text.split(u.url).join(u.expanded_url);
     }
+    text = text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+
+    return {
+      tweetId: result.rest_id,
+      username: user.name || "",
+      handle: user.screen_name ? `@${user.screen_name}` : "",
+      text,
+      lang: legacy.lang || "",
+      time: legacy.created_at ? new Date(legacy.created_at).toISOString() : "",
+      likes: legacy.favorite_count || 0,
+      replies: legacy.reply_count || 0,
+      reposts: legacy.retweet_count || 0,
+      views: result.views && result.views.count ? parseInt(result.views.count, 10) : 0,
+      bookmarks: legacy.bookmark_count || 0,
+      media: this._mediaFromLegacy(legacy).map(({ type, url }) => ({ type, url })),
+      isPinned: false,
+      isRetweet: false,
+      isReply: !!legacy.in_reply_to_status_id_str,
+      inReplyTo: legacy.in_reply_to_status_id_str || null,
+      isLiked: !!legacy.favorited,
+    };
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  //  LIFECYCLE
-  // ═══════════════════════════════════════════════════════════════════════════
+  /**
+   * Media of `tweetId` from captured TweetDetail responses: original-size
+   * photos and the highest-bitrate MP4 variant of videos / GIFs.
+   * @param {string} tweetId
+   * @param {object[]} responses – Parsed GraphQL response bodies
+   * @returns {object[]|null} null when the tweet isn't in any response
+   */
+  _mediaVariants(tweetId, responses) {
+    // The tweet sits at varying depths (visibility wrappers, thread entries)
+    const find = (node) => {
+      if (!node || typeof node !== "object") return null;
+      if (node.rest_id === tweetId && node.legacy) return node.legacy;
+      for (const value of Object.values(node)) {
+        const hit = find(value);
+        if (hit) return hit;
+      }
+      return null;
+    };
 
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-      this.page = null;
-      this.isReady = false;
-      this.emit("closed");
+    let legacy = null;
+    for (const json of responses) {
+      legacy = find(json);
+      if (legacy) break;
     }
+    return legacy ? this._mediaFromLegacy(legacy) : null;
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  //  INTERNALS
-  // ═══════════════════════════════════════════════════════════════════════════
+  /**
+   * Media entries of a GraphQL tweet's `legacy` object (see _mediaVariants()).
+   * @param {object} legacy
+   * @returns {object[]}
+   */
+  _mediaFromLegacy(legacy) {
+    const media = (legacy.extended_entities && legacy.extended_entities.media) || [];
+    return media.map((m) => {
+      const entry = {
+        type: m.type === "animated_gif" ? "gif" : m.type,
+        url: null,
+        width: m.original_info ? m.original_info.width : null,
+        height: m.original_info ? m.original_info.height : null,
+        altText: m.ext_alt_text || null,
+      };
+      if (m.type === "photo") {
+        entry.url = `${m.media_url_https}?name=orig`;
+      } else {
+        const best = ((m.video_info && m.video_info.variants) || [])
+          .filter((v) => v.content_type === "video/mp4")
+          .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))[0];
+        entry.url = best ? best.url : null;
+        entry.bitrate = best ? best.bitrate || 0 : null;
+      }
+      return entry;
+    });
+  }
 
-  _ensureReady() {
-    if (!this.isReady) {
-      throw new Error("Bot not ready. Call .init() and wait for 'ready' event.");
-    }
+  /**
+   * Fallback for _mediaVariants() from scraped `media` items. Photos are
+   * upgraded to `name=orig`; videos only survive when the player exposed a
+   * direct MP4 (GIFs do, streamed videos don't).
+   * @param {Array<{type: string, url: string}>} media
+   * @returns {object[]}
+   */
+  _domMediaVariants(media) {
+    return media.map(({ type, url }) => {
+      let best = null;
+      if (type === "photo" && url) {
+        const u = new URL(url);
+        u.searchParams.set("name", "orig");
+        best = u.toString();
+      } else if (url && /video\.twimg\.com\/.+\.mp4/.test(url)) {
+        best = url;
+      }
+      return { type, url: best, width: null, height: null, altText: null };
+    });
   }
 
-  _tweetUrl(tweetId) {
-    if (this.username) {
-      return `https://x.com/${this.username}/status/${tweetId}`;
-    }
-    return `https://x.com/i/status/${tweetId}`;
+  /**
+   * File extension for a media URL — pbs.twimg.com passes it as `format=`.
+   * @param {string} url
+   * @param {string} type
+   * @returns {string}
+   */
+  _mediaExtension(url, type) {
+    const u = new URL(url);
+    const format = u.searchParams.get("format");
+    if (format) return `.${format}`;
+    return require("path").extname(u.pathname) || (type === "photo" ? ".jpg" : ".mp4");
   }
 
-  async _waitFor(selector, timeout = 10000) {
-    try {
-      await this.page.waitForSelector(selector, { timeout });
-      return true;
-    } catch {
-      return false;
-    }
+  /**
+   * Stream a URL to disk, following redirects. A partial file is removed
+   * on failure.
+   * @param {string} url
+   * @param {string} filePath
+   * @param {number} [redirects=5]
+   * @returns {Promise<number>} Bytes written
+   */
+  _downloadFile(url, filePath, redirects = 5) {
+    const fs = require("fs");
+    const https = require("https");
+
+    return new Promise((resolve, reject) => {
+      const req = https.get(url, { timeout: this.timeout }, (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          if (redirects === 0) return reject(new TwitterBotError(`Too many redirects: ${url}`, "DOWNLOAD_FAILED"));
+          const next = new URL(res.headers.location, url).toString();
+          return resolve(this._downloadFile(next, filePath, redirects - 1));
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          return reject(new TwitterBotError(`Download failed (HTTP ${res.statusCode}): ${url}`, "DOWNLOAD_FAILED"));
+        }
+
+        const out = fs.createWriteStream(filePath);
+        let bytes = 0;
+        res.on("data", (chunk) => (bytes += chunk.length));
+        res.pipe(out);
+        out.on("finish", () => resolve(bytes));
+        const fail = (err) => {
+          out.destroy();
+          fs.rm(filePath, { force: true }, () => reject(err));
+        };
+        res.on("error", fail);
+        out.on("error", fail);
+      });
+      req.on("timeout", () => req.destroy(new TwitterBotError(`Download timed out: ${url}`, "DOWNLOAD_FAILED")));
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * State of the currently open profile page.
+   * @returns {Promise<'ok'|'not_found'|'suspended'>}
+   */
+  async _profileState() {
+    return await this.page.evaluate((sel) => {
+      // Protected profiles and profiles without posts render the empty-state
+      // header too — it only means "missing" when there is no profile header
+      if (document.querySelector(sel.profileName)) return "ok";
+      const errorHeading = document.querySelector(sel.emptyState);
+      if (errorHeading) {
+        const t = errorHeading.innerText.toLowerCase();
+        return /suspend|askıya/.test(t) ? "suspended" : "not_found";
+      }
+      if (document.querySelector(sel.unknownUserAvatar)) return "not_found";
+      return "ok";
+    }, this.selectors);
   }
 
   async _dismissCompose() {
@@ -1209,11 +4835,11 @@ class TwitterBot extends EventEmitter {
 
     try {
       // Try clicking the close button on the compose modal
-      const closed = await this.page.evaluate(() => {
-        const closeBtn = document.querySelector('[data-testid="app-bar-close"]');
+      const closed = await this.page.evaluate((sel) => {
+        const closeBtn = document.querySelector(sel.closeButton);
         if (closeBtn) { closeBtn.click(); return true; }
         return false;
-      });
+      }, this.selectors);
       if (closed) {
         await delay(500);
         // There may be a "Discard" confirmation — click it
@@ -1232,6 +4858,29 @@ class TwitterBot extends EventEmitter {
     } catch { /* page may be dead, that's ok */ }
   }
 
+  /**
+   * User agent, webdriver flag, the shared count parser and GraphQL
+   * capture for a new tab. Pages already prepared are left alone.
+   * @param {Page} page
+   */
+  async _preparePage(page) {
+    if (this._preparedPages.has(page)) return;
+    this._preparedPages.add(page);
+    page.on("response", (res) => this._captureGraphQL(res));
+
+    await page.setUserAgent(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+    );
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, "webdriver", { get: () => undefined });
+    });
+    // Page-context scrapers can't import helpers — expose _parseCount,
+    // _avatarHandle and the reply marker pattern on every document
+    await page.evaluateOnNewDocument(`window.__xbotParseCount = ${_parseCount.toString()};`);
+    await page.evaluateOnNewDocument(`window.__xbotReplyingTo = ${REPLYING_TO};`);
+    await page.evaluateOnNewDocument(`window.__xbotAvatarHandle = ${_avatarHandle.toString()};`);
+  }
+
   async _recoverPage() {
     // Accept any "Leave site?" beforeunload dialogs
     this.page.once("dialog", async (dialog) => {
@@ -1252,6 +4901,7 @@ class TwitterBot extends EventEmitter {
       for (const p of pages) {
         try {
           p.url();
+          await this._preparePage(p);
           this.page = p;
           this.page.once("dialog", async (d) => { try { await d.accept(); } catch { /* already handled */ } });
           await this.page.goto("https://x.com/home", {
@@ -1265,12 +4915,7 @@ class TwitterBot extends EventEmitter {
 
       if (!recovered) {
         this.page = await this.browser.newPage();
-        await this.page.setUserAgent(
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-        );
-        await this.page.evaluateOnNewDocument(() => {
-          Object.defineProperty(navigator, "webdriver", { get: () => undefined });
-        });
+        await this._preparePage(this.page);
         const cookieObjects = this._buildCookieObjects();
         await this.page.setCookie(...cookieObjects);
         await this.page.goto("https://x.com/home", {
@@ -1283,16 +4928,16 @@ class TwitterBot extends EventEmitter {
   }
 
   /**
-   * Click an element by its data-testid attribute.
-   * @param {string} testId
+   * Click the element a selector-registry entry resolves to.
+   * @param {string} name – Key of this.selectors
    * @returns {Promise<boolean>}
    */
-  async _clickTestId(testId) {
-    const clicked = await this.page.evaluate((id) => {
-      const el = document.querySelector(`[data-testid="${id}"]`);
+  async _clickSelector(name) {
+    const clicked = await this.page.evaluate((selector) => {
+      const el = document.querySelector(selector);
       if (el) { el.click(); return true; }
       return false;
-    }, testId);
+    }, this.selectors[name]);
     if (clicked) await delay(500);
     return clicked;
   }
@@ -1332,7 +4977,7 @@ class TwitterBot extends EventEmitter {
     await fileInput.uploadFile(abs);
     await delay(3000);
     // Crop / apply dialog (if shown)
-    await this._clickTestId("applyButton");
+    await this._clickSelector("mediaApplyButton");
     await delay(1500);
   }
 
@@ -1385,4 +5030,34 @@ class TwitterBot extends EventEmitter {
   }
 }
 
+// Public methods that drive this.page — each runs through _withPage().
+// Bulk helpers (deleteTweets(), followMany(), getConversationTree(), …) are
+// left out on purpose: they lock per item through the methods below, so
+// foreground calls are not stuck behind their long pauses.
+const PAGE_METHODS = [
+  "postTweet", "postThread", "replyToTweet", "quoteTweet",
+  "retweet", "undoRetweet", "likeTweet", "unlikeTweet", "bookmarkTweet", "removeBookmark",
+  "deleteTweet", "pinTweet", "unpinTweet", "getPinnedTweetId",
+  "getTweetStats", "getTweetComments", "downloadTweetMedia",
+  "getUserTweets", "getUserProfile", "getFollowers", "getFollowing", "followUser", "unfollowUser",
+  "sendDirectMessage", "getInbox", "getConversation", "getNotifications",
+  "searchAndLike", "searchTweets", "setupProfile", "selfTest", "runRules",
+];
+
+for (const name of PAGE_METHODS) {
+  const method = TwitterBot.prototype[name];
+  TwitterBot.prototype[name] = function (...args) {
+    return this._withPage(() => method.apply(this, args));
+  };
+}
+
 module.exports = TwitterBot;
+module.exports.SELECTORS = SELECTORS;
+module.exports.TwitterBotError = TwitterBotError;
+module.exports.NotReadyError = NotReadyError;
+module.exports.RateLimitedError = RateLimitedError;
+module.exports.SelectorNotFoundError = SelectorNotFoundError;
+module.exports.UserNotFoundError = UserNotFoundError;
+module.exports.DuplicateTweetError = DuplicateTweetError;
+module.exports.MediaUploadError = MediaUploadError;
+module.exports.SessionExpiredError = SessionExpiredError;